@@ -0,0 +1,49 @@
+// controllers/audit.controller.js
+
+import AuditService from '../services/audit.service.js';
+import SettingService from '../services/setting.service.js';
+
+export default class AuditController {
+  /**
+   * Get audit logs
+   */
+  static async getAuditLogs(req, res, next) {
+    try {
+      const { page = 1, limit, userId, action, entityType, entityId, from, to } = req.query;
+
+      const filters = { userId, action, entityType, entityId, from, to };
+
+      const result = await AuditService.getAuditLogs(
+        filters,
+        parseInt(page),
+        await SettingService.getPageLimit('auditLogs', limit)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Audit logs fetched successfully',
+        data: result.logs,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export audit logs as CSV
+   */
+  static async exportAuditLogs(req, res, next) {
+    try {
+      const { userId, action, entityType, entityId, from, to } = req.query;
+
+      const csv = await AuditService.exportAuditLogs({ userId, action, entityType, entityId, from, to });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${Date.now()}.csv"`);
+      res.status(200).send(csv);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -15,7 +15,7 @@ export default class AuthController {
 
   static async login(req, res, next) {
     try {
-      const result = await AuthService.login(req.body);
+      const result = await AuthService.login(req.body, req.ip);
       res.json(result);
     } catch (err) {
       next(err);
@@ -34,18 +34,27 @@ export default class AuthController {
 
   static async logout(req, res, next) {
     try {
-      await AuthService.logout(req.user.userId);
+      await AuthService.logout(req.user.id, req.sessionId);
       res.json({ message: "Logged out successfully" });
     } catch (err) {
       next(err);
     }
   }
 
+  static async logoutAll(req, res, next) {
+    try {
+      await AuthService.logoutAll(req.user.id);
+      res.json({ message: "Logged out from all devices" });
+    } catch (err) {
+      next(err);
+    }
+  }
+
   static async changePassword(req, res, next) {
     try {
       const { currentPassword, newPassword } = req.body;
-      await AuthService.changePassword(req.user.userId, currentPassword, newPassword);
-      res.json({ message: "Password changed successfully" });
+      await AuthService.changePassword(req.user.id, currentPassword, newPassword);
+      res.json({ message: "Password changed successfully. Please log in again." });
     } catch (err) {
       next(err);
     }
@@ -53,7 +62,7 @@ export default class AuthController {
 
   static async profile(req, res, next) {
     try {
-      const profile = await AuthService.getUserProfile(req.user.userId);
+      const profile = await AuthService.getUserProfile(req.user.id);
       res.json(profile);
     } catch (err) {
       next(err);
@@ -62,18 +71,54 @@ export default class AuthController {
 
   static async updateProfile(req, res, next) {
     try {
-      const profile = await AuthService.updateProfile(req.user.userId, req.body);
+      const profile = await AuthService.updateProfile(req.user.id, req.body);
       res.json(profile);
     } catch (err) {
       next(err);
     }
   }
 
+  static async getEmergencyContacts(req, res, next) {
+    try {
+      const contacts = await AuthService.getEmergencyContacts(req.user.id);
+      res.json(contacts);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async addEmergencyContact(req, res, next) {
+    try {
+      const contact = await AuthService.addEmergencyContact(req.user.id, req.body);
+      res.status(201).json(contact);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async updateEmergencyContact(req, res, next) {
+    try {
+      const contact = await AuthService.updateEmergencyContact(req.user.id, req.params.id, req.body);
+      res.json(contact);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async deleteEmergencyContact(req, res, next) {
+    try {
+      await AuthService.deleteEmergencyContact(req.user.id, req.params.id);
+      res.json({ message: "Emergency contact deleted successfully" });
+    } catch (err) {
+      next(err);
+    }
+  }
+
   // Forgot password step 1: request reset
   static async requestPasswordReset(req, res, next) {
     try {
       const { email } = req.body;
-      await AuthService.requestPasswordReset(email);
+      await AuthService.requestPasswordReset(email, req.ip);
       res.json({ message: "Password reset OTP sent to your email" });
     } catch (err) {
       next(err);
@@ -84,7 +129,7 @@ export default class AuthController {
   static async resetPassword(req, res, next) {
     try {
       const { email, otp, newPassword } = req.body;
-      await AuthService.resetPassword(email, otp, newPassword);
+      await AuthService.resetPassword(email, otp, newPassword, req.ip);
       res.json({ message: "Password reset successfully" });
     } catch (err) {
       next(err);
@@ -0,0 +1,122 @@
+// controllers/cart.controller.js
+
+import CartService from '../services/cart.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class CartController {
+  /**
+   * Get own cart for a semester
+   */
+  static async getCart(req, res, next) {
+    try {
+      const cart = await CartService.getCart(
+        CartController.getStudentProfileId(req),
+        req.params.semester
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Cart fetched successfully',
+        data: cart
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Add a schedule to own cart
+   */
+  static async addItem(req, res, next) {
+    try {
+      const { scheduleId } = req.body;
+
+      if (!scheduleId) {
+        throw new AppError('Schedule ID is required', 400);
+      }
+
+      const cart = await CartService.addItem(
+        CartController.getStudentProfileId(req),
+        req.params.semester,
+        scheduleId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Schedule added to cart',
+        data: cart
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a schedule from own cart
+   */
+  static async removeItem(req, res, next) {
+    try {
+      const cart = await CartService.removeItem(
+        CartController.getStudentProfileId(req),
+        req.params.semester,
+        req.params.scheduleId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Schedule removed from cart',
+        data: cart
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Empty own cart
+   */
+  static async clearCart(req, res, next) {
+    try {
+      const result = await CartService.clearCart(
+        CartController.getStudentProfileId(req),
+        req.params.semester
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Cart cleared',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Submit own cart as enrollment requests
+   */
+  static async submitCart(req, res, next) {
+    try {
+      const result = await CartService.submitCart(
+        CartController.getStudentProfileId(req),
+        req.params.semester
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `${result.enrollments.length} enrollment request(s) submitted`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static getStudentProfileId(req) {
+    if (!req.user.studentProfile) {
+      throw new AppError('Only students with a profile can use an enrollment cart', 403);
+    }
+
+    return req.user.studentProfile.id;
+  }
+}
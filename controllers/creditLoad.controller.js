@@ -0,0 +1,222 @@
+// controllers/creditLoad.controller.js
+
+import CreditLoadService from '../services/creditLoad.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class CreditLoadController {
+  /**
+   * Get the current student's credit load
+   */
+  static async getMyCreditLoad(req, res, next) {
+    try {
+      const { semester } = req.query;
+
+      if (!req.user.studentProfile) {
+        throw new AppError('Student profile not found', 403);
+      }
+
+      const creditLoad = await CreditLoadService.getCreditLoad(req.user.studentProfile.id, semester);
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit load fetched successfully',
+        data: creditLoad
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a student's credit load
+   */
+  static async getStudentCreditLoad(req, res, next) {
+    try {
+      const { studentProfileId } = req.params;
+      const { semester } = req.query;
+
+      const creditLoad = await CreditLoadService.getCreditLoad(studentProfileId, semester);
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit load fetched successfully',
+        data: creditLoad
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get default credit limits
+   */
+  static async getDefaultLimits(req, res, next) {
+    try {
+      const limits = await CreditLoadService.getDefaultLimits();
+
+      res.status(200).json({
+        success: true,
+        message: 'Default credit limits fetched successfully',
+        data: limits
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update default credit limits
+   */
+  static async updateDefaultLimits(req, res, next) {
+    try {
+      const { minCredits, maxCredits } = req.body;
+
+      const limits = await CreditLoadService.updateDefaultLimits({ minCredits, maxCredits });
+
+      res.status(200).json({
+        success: true,
+        message: 'Default credit limits updated successfully',
+        data: limits
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all credit load rules
+   */
+  static async getRules(req, res, next) {
+    try {
+      const rules = await CreditLoadService.getRules();
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit load rules fetched successfully',
+        data: rules
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create credit load rule
+   */
+  static async createRule(req, res, next) {
+    try {
+      const { program, yearLevel, minCredits, maxCredits } = req.body;
+
+      const rule = await CreditLoadService.createRule({ program, yearLevel, minCredits, maxCredits });
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit load rule created successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update credit load rule
+   */
+  static async updateRule(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { minCredits, maxCredits } = req.body;
+
+      const rule = await CreditLoadService.updateRule(id, { minCredits, maxCredits });
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit load rule updated successfully',
+        data: rule
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete credit load rule
+   */
+  static async deleteRule(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await CreditLoadService.deleteRule(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit load rule deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get credit overload exceptions
+   */
+  static async getOverloads(req, res, next) {
+    try {
+      const { studentProfileId, semesterId } = req.query;
+
+      const overloads = await CreditLoadService.getOverloads({ studentProfileId, semesterId });
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit overloads fetched successfully',
+        data: overloads
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Grant credit overload exception
+   */
+  static async grantOverload(req, res, next) {
+    try {
+      const { studentProfileId, semesterId, maxCredits, reason } = req.body;
+
+      if (!studentProfileId || !semesterId || !maxCredits || !reason) {
+        throw new AppError('Student profile ID, semester ID, max credits, and reason are required', 400);
+      }
+
+      const overload = await CreditLoadService.grantOverload(
+        { studentProfileId, semesterId, maxCredits, reason },
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit overload granted successfully',
+        data: overload
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Revoke credit overload exception
+   */
+  static async revokeOverload(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await CreditLoadService.revokeOverload(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Credit overload revoked successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,49 @@
+// controllers/email.controller.js
+
+import EmailService from '../services/email.service.js';
+import SettingService from '../services/setting.service.js';
+
+export default class EmailController {
+  /**
+   * Get outbox emails
+   */
+  static async getOutbox(req, res, next) {
+    try {
+      const { page = 1, limit, status, template, to } = req.query;
+
+      const result = await EmailService.getOutbox(
+        { status, template, to },
+        parseInt(page),
+        await SettingService.getPageLimit('emails', limit)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Emails fetched successfully',
+        data: result.emails,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Retry a failed email
+   */
+  static async retryEmail(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const email = await EmailService.retryEmail(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Email queued for delivery',
+        data: email
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
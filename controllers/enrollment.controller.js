@@ -1,37 +1,231 @@
-// import * as enrollmentService from "../services/enrollmentService.js";
-
-// export async function requestEnrollment(req, res) {
-//   try {
-//     const result = await enrollmentService.requestEnrollment(req.user.id, req.body.scheduleId);
-//     res.json(result);
-//   } catch (err) {
-//     res.status(400).json({ error: err.message });
-//   }
-// }
-
-// export async function withdrawEnrollment(req, res) {
-//   try {
-//     const result = await enrollmentService.withdrawEnrollment(req.user.id, parseInt(req.params.id));
-//     res.json(result);
-//   } catch (err) {
-//     res.status(400).json({ error: err.message });
-//   }
-// }
-
-// export async function approveEnrollment(req, res) {
-//   try {
-//     const result = await enrollmentService.approveEnrollment(parseInt(req.params.id));
-//     res.json(result);
-//   } catch (err) {
-//     res.status(400).json({ error: err.message });
-//   }
-// }
-
-// export async function rejectEnrollment(req, res) {
-//   try {
-//     const result = await enrollmentService.rejectEnrollment(parseInt(req.params.id));
-//     res.json(result);
-//   } catch (err) {
-//     res.status(400).json({ error: err.message });
-//   }
-// }
+// controllers/enrollment.controller.js
+
+import EnrollmentService from '../services/enrollment.service.js';
+import SettingService from '../services/setting.service.js';
+import { AppError } from '../utils/errors.js';
+
+const ENROLLMENT_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'WAITLISTED', 'WITHDRAWN', 'COMPLETED'];
+
+export default class EnrollmentController {
+  /**
+   * Request enrollment in a schedule
+   */
+  static async requestEnrollment(req, res, next) {
+    try {
+      const { scheduleId } = req.body;
+
+      if (!req.user.studentProfile) {
+        throw new AppError('Only students with a profile can enroll', 403);
+      }
+
+      if (!scheduleId) {
+        throw new AppError('Schedule ID is required', 400);
+      }
+
+      const enrollment = await EnrollmentService.requestEnrollment(
+        req.user.studentProfile.id,
+        scheduleId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Enrollment requested successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Withdraw own enrollment
+   */
+  static async withdrawEnrollment(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      if (!req.user.studentProfile) {
+        throw new AppError('Only students with a profile can withdraw', 403);
+      }
+
+      const enrollment = await EnrollmentService.withdrawEnrollment(
+        req.user.studentProfile.id,
+        id
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollment withdrawn successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current student's enrollments
+   */
+  static async getMyEnrollments(req, res, next) {
+    try {
+      const { status, semester, academicYear } = req.query;
+
+      if (!req.user.studentProfile) {
+        throw new AppError('Student profile not found', 403);
+      }
+
+      if (status && !ENROLLMENT_STATUSES.includes(status)) {
+        throw new AppError('Invalid enrollment status', 400);
+      }
+
+      const enrollments = await EnrollmentService.getStudentEnrollments(
+        req.user.studentProfile.id,
+        { status, semester, academicYear }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollments fetched successfully',
+        data: enrollments
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all enrollments
+   */
+  static async getAllEnrollments(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit,
+        status,
+        scheduleId,
+        studentProfileId,
+        unitId,
+        semester,
+        academicYear
+      } = req.query;
+
+      if (status && !ENROLLMENT_STATUSES.includes(status)) {
+        throw new AppError('Invalid enrollment status', 400);
+      }
+
+      const filters = {
+        status,
+        scheduleId,
+        studentProfileId,
+        unitId,
+        semester,
+        academicYear
+      };
+
+      const result = await EnrollmentService.getAllEnrollments(
+        filters,
+        parseInt(page),
+        await SettingService.getPageLimit('enrollments', limit)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollments fetched successfully',
+        data: result.enrollments,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get enrollment by ID
+   */
+  static async getEnrollmentById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const enrollment = await EnrollmentService.getEnrollmentById(id);
+
+      // Students may only view their own enrollments
+      if (req.user.role === 'STUDENT' && enrollment.studentProfileId !== req.user.studentProfile?.id) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollment fetched successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the waitlist for a schedule
+   */
+  static async getScheduleWaitlist(req, res, next) {
+    try {
+      const { scheduleId } = req.params;
+
+      const waitlist = await EnrollmentService.getScheduleWaitlist(scheduleId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Waitlist fetched successfully',
+        data: waitlist
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve enrollment
+   */
+  static async approveEnrollment(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const enrollment = await EnrollmentService.approveEnrollment(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollment approved successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject enrollment
+   */
+  static async rejectEnrollment(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { rejectionReason } = req.body;
+
+      if (!rejectionReason || !rejectionReason.trim()) {
+        throw new AppError('Rejection reason is required', 400);
+      }
+
+      const enrollment = await EnrollmentService.rejectEnrollment(
+        id,
+        req.user.id,
+        rejectionReason.trim()
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollment rejected successfully',
+        data: enrollment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,101 @@
+// controllers/event.controller.js
+
+import RealtimeService from '../services/realtime.service.js';
+import { AuthService } from '../services/auth.service.js';
+import { AppError } from '../utils/errors.js';
+
+const HEARTBEAT_INTERVAL = 25000;
+
+export default class EventController {
+  /**
+   * Stream seat availability and the student's own enrollment changes as server-sent events
+   */
+  static async stream(req, res, next) {
+    try {
+      const scheduleIds = EventController.parseScheduleIds(req.query.scheduleIds);
+      const studentProfileId = req.user.studentProfile?.id;
+
+      // Snapshot first so the client starts from current numbers
+      const snapshot = scheduleIds ? await RealtimeService.getSeatAvailability(scheduleIds) : [];
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      const send = (type, data) => {
+        if (res.writableEnded) {
+          return;
+        }
+        res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+
+      send('ready', { scheduleIds });
+      snapshot.forEach(seats => send('seats', seats));
+
+      const unsubscribe = RealtimeService.subscribe(event => {
+        if (event.type === 'seats' && (!scheduleIds || scheduleIds.includes(event.data.scheduleId))) {
+          send('seats', event.data);
+        }
+
+        if (event.type === 'enrollment' && studentProfileId && event.studentProfileId === studentProfileId) {
+          send('enrollment', event.data);
+        }
+      });
+
+      let heartbeat;
+      let expiry;
+
+      const cleanup = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        unsubscribe();
+      };
+
+      // The stream lives no longer than the token and session that opened it
+      const close = () => {
+        cleanup();
+        send('expired', {});
+        if (!res.writableEnded) {
+          res.end();
+        }
+      };
+
+      heartbeat = setInterval(async () => {
+        try {
+          if (!(await AuthService.isSessionActive(req.sessionId))) {
+            close();
+            return;
+          }
+          if (!res.writableEnded) {
+            res.write(': ping\n\n');
+          }
+        } catch (error) {
+          close();
+        }
+      }, HEARTBEAT_INTERVAL);
+
+      expiry = setTimeout(close, Math.max(req.tokenExpiresAt - Date.now(), 0));
+
+      req.on('close', cleanup);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static parseScheduleIds(value) {
+    if (!value) {
+      return null;
+    }
+
+    const ids = String(value).split(',').map(id => parseInt(id));
+
+    if (ids.some(isNaN)) {
+      throw new AppError('Schedule IDs must be a comma-separated list of numbers', 400);
+    }
+
+    return [...new Set(ids)];
+  }
+}
@@ -0,0 +1,92 @@
+// controllers/export.controller.js
+
+import ExportService from '../services/export.service.js';
+import ScheduleController from './schedule.controller.js';
+import UnitController from './unit.controller.js';
+import { AppError } from '../utils/errors.js';
+
+export default class ExportController {
+  /**
+   * Export enrollments as CSV or XLSX
+   */
+  static async exportEnrollments(req, res, next) {
+    try {
+      const { format = 'csv', scheduleId, status } = req.query;
+
+      const file = await ExportService.exportEnrollments({
+        scheduleId,
+        status,
+        schedule: ScheduleController.getScheduleFilters(req.query),
+        unit: UnitController.getUnitFilters(req.query)
+      }, format);
+
+      ExportController.sendFile(res, file);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export a semester timetable as CSV or XLSX
+   */
+  static async exportTimetable(req, res, next) {
+    try {
+      const { format = 'csv' } = req.query;
+
+      const file = await ExportService.exportTimetable({
+        schedule: ScheduleController.getScheduleFilters(req.query),
+        unit: UnitController.getUnitFilters(req.query)
+      }, format);
+
+      ExportController.sendFile(res, file);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Export student contact details as CSV or XLSX
+   */
+  static async exportStudentContacts(req, res, next) {
+    try {
+      const { format = 'csv', program, yearLevel, ...query } = req.query;
+
+      // program and yearLevel describe the student here, not the schedule cohort
+      const file = await ExportService.exportStudentContacts({
+        program,
+        yearLevel,
+        schedule: ScheduleController.getScheduleFilters(query),
+        unit: UnitController.getUnitFilters(query)
+      }, format);
+
+      ExportController.sendFile(res, file);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download the student's own timetable as a PDF
+   */
+  static async getMyTimetablePdf(req, res, next) {
+    try {
+      if (!req.user.studentProfile) {
+        throw new AppError('Only students with a profile have a timetable', 403);
+      }
+
+      const { semester } = req.query;
+
+      const file = await ExportService.getStudentTimetablePdf(req.user.studentProfile.id, semester);
+
+      ExportController.sendFile(res, file);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static sendFile(res, file) {
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.status(200).send(file.body);
+  }
+}
@@ -0,0 +1,55 @@
+// controllers/import.controller.js
+
+import ImportService from '../services/import.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class ImportController {
+  /**
+   * Import units, schedules or students from an uploaded file
+   */
+  static async importFile(req, res, next) {
+    try {
+      const { type } = req.params;
+      const dryRun = req.query.dryRun === 'true';
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new AppError('Upload the file as the request body with a text/csv or XLSX content type', 415);
+      }
+
+      const result = await ImportService.importFile(
+        type,
+        req.body,
+        req.get('Content-Type'),
+        { dryRun },
+        req.user.id
+      );
+
+      res.status(dryRun ? 200 : 201).json({
+        success: true,
+        message: dryRun
+          ? `Dry run complete: ${result.validRows} of ${result.totalRows} row(s) are valid`
+          : `${result.imported} row(s) imported successfully`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Download an empty CSV template for an import type
+   */
+  static async getTemplate(req, res, next) {
+    try {
+      const { type } = req.params;
+
+      const csv = ImportService.getTemplate(type);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${type}-import-template.csv"`);
+      res.status(200).send(csv);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,107 @@
+// controllers/notification.controller.js
+
+import NotificationService from '../services/notification.service.js';
+import SettingService from '../services/setting.service.js';
+
+export default class NotificationController {
+  /**
+   * Get the current user's notifications
+   */
+  static async getNotifications(req, res, next) {
+    try {
+      const { page = 1, limit, unread } = req.query;
+
+      const result = await NotificationService.getNotifications(
+        req.user.id,
+        { unread: unread === 'true' },
+        parseInt(page),
+        await SettingService.getPageLimit('notifications', limit)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Notifications fetched successfully',
+        data: result.notifications,
+        unreadCount: result.unreadCount,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a notification as read
+   */
+  static async markRead(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const notification = await NotificationService.markRead(req.user.id, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark all notifications as read
+   */
+  static async markAllRead(req, res, next) {
+    try {
+      const result = await NotificationService.markAllRead(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Send a broadcast to a student audience
+   */
+  static async broadcast(req, res, next) {
+    try {
+      const { title, message, program, yearLevel, unitId, scheduleId, semester } = req.body;
+
+      const broadcast = await NotificationService.broadcast(
+        { title, message, program, yearLevel, unitId, scheduleId, semester },
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: `Broadcast sent to ${broadcast.recipientCount} student(s)`,
+        data: broadcast
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get sent broadcasts
+   */
+  static async getBroadcasts(req, res, next) {
+    try {
+      const broadcasts = await NotificationService.getBroadcasts();
+
+      res.status(200).json({
+        success: true,
+        message: 'Broadcasts fetched successfully',
+        data: broadcasts
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,111 @@
+// controllers/room.controller.js
+
+import RoomService from '../services/room.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class RoomController {
+  /**
+   * Get all rooms
+   */
+  static async getAllRooms(req, res, next) {
+    try {
+      const { building, minSeats, feature, includeInactive } = req.query;
+
+      const rooms = await RoomService.getAllRooms({
+        building,
+        minSeats,
+        feature,
+        includeInactive: includeInactive === 'true'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Rooms fetched successfully',
+        data: rooms
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get room by ID
+   */
+  static async getRoomById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const room = await RoomService.getRoomById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Room fetched successfully',
+        data: room
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create new room
+   */
+  static async createRoom(req, res, next) {
+    try {
+      const { name, building, seats, features } = req.body;
+
+      if (!name || !seats) {
+        throw new AppError('Name and seats are required', 400);
+      }
+
+      const room = await RoomService.createRoom({ name, building, seats, features });
+
+      res.status(201).json({
+        success: true,
+        message: 'Room created successfully',
+        data: room
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update room
+   */
+  static async updateRoom(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, building, seats, features } = req.body;
+
+      const room = await RoomService.updateRoom(id, { name, building, seats, features });
+
+      res.status(200).json({
+        success: true,
+        message: 'Room updated successfully',
+        data: room
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate room
+   */
+  static async deactivateRoom(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const room = await RoomService.deactivateRoom(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Room deactivated successfully',
+        data: room
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
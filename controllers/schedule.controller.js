@@ -1,6 +1,7 @@
 
 
 import ScheduleService from "../services/schedule.service.js";
+import SettingService from "../services/setting.service.js";
 import { AppError } from "../utils/errors.js";
 
 class ScheduleController {
@@ -9,32 +10,13 @@ class ScheduleController {
    */
   static async getAllSchedules(req, res, next) {
     try {
-      const { 
-        page = 1, 
-        limit = 20, 
-        unitId, 
-        dayId, 
-        timeSlotId, 
-        semester, 
-        academicYear, 
-        location, 
-        tutorName 
-      } = req.query;
-      
-      const filters = {
-        unitId,
-        dayId,
-        timeSlotId,
-        semester,
-        academicYear,
-        location,
-        tutorName
-      };
+      const { page = 1, limit } = req.query;
+      const filters = ScheduleController.getScheduleFilters(req.query);
 
       const result = await ScheduleService.getAllSchedules(
         filters, 
         parseInt(page), 
-        parseInt(limit)
+        await SettingService.getPageLimit('schedules', limit)
       );
 
       res.status(200).json({
@@ -48,6 +30,39 @@ class ScheduleController {
     }
   }
 
+  /**
+   * Pick the schedule list filters from a query string; exports accept the same ones
+   */
+  static getScheduleFilters(query) {
+    const {
+      unitId,
+      dayId,
+      timeSlotId,
+      semester,
+      academicYear,
+      location,
+      roomId,
+      tutorId,
+      tutorName,
+      program,
+      yearLevel
+    } = query;
+
+    return {
+      unitId,
+      dayId,
+      timeSlotId,
+      semester,
+      academicYear,
+      location,
+      roomId,
+      tutorId,
+      tutorName,
+      program,
+      yearLevel
+    };
+  }
+
   /**
    * Get schedule by ID
    */
@@ -76,11 +91,15 @@ class ScheduleController {
         unitId, 
         timeSlotId, 
         dayId, 
+        tutorId, 
         tutorName, 
+        roomId, 
         location, 
         semester, 
         academicYear, 
-        maxCapacity 
+        maxCapacity, 
+        program, 
+        yearLevel 
       } = req.body;
 
       // Validation
@@ -96,11 +115,15 @@ class ScheduleController {
         unitId,
         timeSlotId,
         dayId,
+        tutorId,
         tutorName,
+        roomId,
         location,
         semester,
         academicYear,
-        maxCapacity
+        maxCapacity,
+        program,
+        yearLevel
       });
 
       res.status(201).json({
@@ -119,14 +142,18 @@ class ScheduleController {
   static async updateSchedule(req, res, next) {
     try {
       const { id } = req.params;
-      const { tutorName, location, maxCapacity, timeSlotId, dayId } = req.body;
+      const { tutorId, tutorName, roomId, location, maxCapacity, timeSlotId, dayId, program, yearLevel } = req.body;
 
       const updateData = {};
       
+      if (tutorId !== undefined) updateData.tutorId = tutorId;
       if (tutorName !== undefined) updateData.tutorName = tutorName;
+      if (roomId !== undefined) updateData.roomId = roomId;
       if (location !== undefined) updateData.location = location;
       if (timeSlotId) updateData.timeSlotId = timeSlotId;
       if (dayId) updateData.dayId = dayId;
+      if (program !== undefined) updateData.program = program;
+      if (yearLevel !== undefined) updateData.yearLevel = yearLevel;
       
       if (maxCapacity !== undefined) {
         if (maxCapacity && parseInt(maxCapacity) <= 0) {
@@ -191,41 +218,39 @@ class ScheduleController {
    */
   static async checkScheduleConflicts(req, res, next) {
     try {
-      const { timeSlotId, dayId, semester, academicYear, excludeId } = req.query;
+      const {
+        timeSlotId,
+        dayId,
+        semester,
+        academicYear,
+        excludeId,
+        roomId,
+        tutorId,
+        program,
+        yearLevel
+      } = req.query;
 
       if (!timeSlotId || !dayId || !semester || !academicYear) {
         throw new AppError('Time slot ID, day ID, semester, and academic year are required', 400);
       }
 
-      try {
-        await ScheduleService.checkScheduleConflicts(
-          timeSlotId,
-          dayId,
-          semester,
-          academicYear,
-          excludeId ? parseInt(excludeId) : null
-        );
-
-        res.status(200).json({
-          success: true,
-          message: 'No schedule conflicts found',
-          data: { hasConflict: false }
-        });
+      const report = await ScheduleService.findScheduleConflicts({
+        timeSlotId,
+        dayId,
+        semester,
+        academicYear,
+        excludeId,
+        roomId,
+        tutorId,
+        program,
+        yearLevel
+      });
 
-      } catch (error) {
-        if (error instanceof AppError && error.statusCode === 409) {
-          res.status(200).json({
-            success: true,
-            message: 'Schedule conflict detected',
-            data: { 
-              hasConflict: true, 
-              conflictMessage: error.message 
-            }
-          });
-        } else {
-          throw error;
-        }
-      }
+      res.status(200).json({
+        success: true,
+        message: report.hasConflict ? 'Schedule conflict detected' : 'No schedule conflicts found',
+        data: report
+      });
     } catch (error) {
       next(error);
     }
@@ -272,4 +297,4 @@ class ScheduleController {
   }
 }
 
-export default { ScheduleController };
\ No newline at end of file
+export default ScheduleController;
\ No newline at end of file
@@ -0,0 +1,196 @@
+// controllers/semester.controller.js
+
+import SemesterService from '../services/semester.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class SemesterController {
+  /**
+   * Get all semesters
+   */
+  static async getAllSemesters(req, res, next) {
+    try {
+      const { academicYear, isActive } = req.query;
+
+      const filters = {
+        academicYear,
+        isActive: isActive === undefined ? undefined : isActive === 'true'
+      };
+
+      const semesters = await SemesterService.getAllSemesters(filters);
+
+      res.status(200).json({
+        success: true,
+        message: 'Semesters fetched successfully',
+        data: semesters
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current semester
+   */
+  static async getCurrentSemester(req, res, next) {
+    try {
+      const semester = await SemesterService.getCurrentSemester();
+
+      res.status(200).json({
+        success: true,
+        message: 'Current semester fetched successfully',
+        data: semester
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get semester by ID
+   */
+  static async getSemesterById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const semester = await SemesterService.getSemesterById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Semester fetched successfully',
+        data: semester
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create new semester
+   */
+  static async createSemester(req, res, next) {
+    try {
+      const {
+        name,
+        academicYear,
+        semesterNumber,
+        startDate,
+        endDate,
+        enrollmentStart,
+        enrollmentEnd,
+        isActive,
+        isCurrent
+      } = req.body;
+
+      // Validation
+      if (!academicYear || !semesterNumber || !startDate || !endDate || !enrollmentStart || !enrollmentEnd) {
+        throw new AppError('Academic year, semester number, start and end dates, and enrollment window are required', 400);
+      }
+
+      if (parseInt(semesterNumber) <= 0) {
+        throw new AppError('Semester number must be a positive number', 400);
+      }
+
+      SemesterController.assertBoolean(isActive, 'isActive');
+      SemesterController.assertBoolean(isCurrent, 'isCurrent');
+
+      const semester = await SemesterService.createSemester({
+        name,
+        academicYear,
+        semesterNumber,
+        startDate,
+        endDate,
+        enrollmentStart,
+        enrollmentEnd,
+        isActive,
+        isCurrent
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Semester created successfully',
+        data: semester
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update semester
+   */
+  static async updateSemester(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { name, startDate, endDate, enrollmentStart, enrollmentEnd, isActive, isCurrent } = req.body;
+
+      SemesterController.assertBoolean(isActive, 'isActive');
+      SemesterController.assertBoolean(isCurrent, 'isCurrent');
+
+      const updateData = {};
+
+      if (name) updateData.name = name;
+      if (startDate) updateData.startDate = startDate;
+      if (endDate) updateData.endDate = endDate;
+      if (enrollmentStart) updateData.enrollmentStart = enrollmentStart;
+      if (enrollmentEnd) updateData.enrollmentEnd = enrollmentEnd;
+      if (isActive !== undefined) updateData.isActive = isActive;
+      if (isCurrent !== undefined) updateData.isCurrent = isCurrent;
+
+      const semester = await SemesterService.updateSemester(id, updateData);
+
+      res.status(200).json({
+        success: true,
+        message: 'Semester updated successfully',
+        data: semester
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Make a semester the current one
+   */
+  static async setCurrentSemester(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const semester = await SemesterService.setCurrentSemester(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Current semester updated successfully',
+        data: semester
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete semester
+   */
+  static async deleteSemester(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await SemesterService.deleteSemester(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Semester deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reject a flag that is not a JSON boolean; "false" or 0 must not be read as set
+   */
+  static assertBoolean(value, field) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      throw new AppError(`${field} must be true or false`, 400);
+    }
+  }
+}
@@ -0,0 +1,66 @@
+// controllers/setting.controller.js
+
+import SettingService from '../services/setting.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class SettingController {
+  /**
+   * Get all settings
+   */
+  static async getAllSettings(req, res, next) {
+    try {
+      const settings = await SettingService.getAllSettings();
+
+      res.status(200).json({
+        success: true,
+        message: 'Settings fetched successfully',
+        data: settings
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get setting by key
+   */
+  static async getSetting(req, res, next) {
+    try {
+      const { key } = req.params;
+
+      const setting = await SettingService.getSetting(key);
+
+      res.status(200).json({
+        success: true,
+        message: 'Setting fetched successfully',
+        data: setting
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update setting
+   */
+  static async updateSetting(req, res, next) {
+    try {
+      const { key } = req.params;
+      const { value } = req.body;
+
+      if (value === undefined || value === null) {
+        throw new AppError('Value is required', 400);
+      }
+
+      const setting = await SettingService.updateSetting(key, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Setting updated successfully',
+        data: setting
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
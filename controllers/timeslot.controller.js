@@ -1,6 +1,6 @@
 // controllers/timeslot.controller.js
 
-import TimeSlotService from '../services/timeslot.service';
+import TimeSlotService from '../services/timeslot.service.js';
 import { AppError } from '../utils/errors.js';
 
 export default class TimeSlotController {
@@ -0,0 +1,108 @@
+// controllers/timetable.controller.js
+
+import TimetableService from '../services/timetable.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class TimetableController {
+  /**
+   * Generate a draft timetable
+   */
+  static async generateDraft(req, res, next) {
+    try {
+      const { semesterId, offerings, dayIds, timeSlotIds, preferences } = req.body;
+
+      if (!semesterId) {
+        throw new AppError('Semester ID is required', 400);
+      }
+
+      const draft = await TimetableService.generateDraft(
+        { semesterId, offerings, dayIds, timeSlotIds, preferences },
+        req.user.id
+      );
+
+      res.status(202).json({
+        success: true,
+        message: 'Timetable generation started; the draft is ready when its status is DRAFT',
+        data: draft
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get timetable drafts
+   */
+  static async getDrafts(req, res, next) {
+    try {
+      const { semesterId, status } = req.query;
+
+      const drafts = await TimetableService.getDrafts({ semesterId, status });
+
+      res.status(200).json({
+        success: true,
+        message: 'Timetable drafts fetched successfully',
+        data: drafts
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get timetable draft by ID
+   */
+  static async getDraftById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const draft = await TimetableService.getDraftById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Timetable draft fetched successfully',
+        data: draft
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Commit a draft as schedules
+   */
+  static async commitDraft(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const result = await TimetableService.commitDraft(id, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: `${result.schedules.length} schedule(s) created for ${result.semester}`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Discard a draft
+   */
+  static async discardDraft(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const draft = await TimetableService.discardDraft(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Timetable draft discarded successfully',
+        data: draft
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,268 @@
+// controllers/tutor.controller.js
+
+import TutorService from '../services/tutor.service.js';
+import { AppError } from '../utils/errors.js';
+
+export default class TutorController {
+  /**
+   * Get all tutors
+   */
+  static async getAllTutors(req, res, next) {
+    try {
+      const { search, department, isActive } = req.query;
+
+      const filters = {
+        search,
+        department,
+        isActive: isActive === undefined ? undefined : isActive === 'true'
+      };
+
+      const tutors = await TutorService.getAllTutors(filters);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tutors fetched successfully',
+        data: tutors
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get tutor by ID
+   */
+  static async getTutorById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const tutor = await TutorService.getTutorById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tutor fetched successfully',
+        data: tutor
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create tutor profile
+   */
+  static async createTutor(req, res, next) {
+    try {
+      const { userId, firstName, lastName, department, maxWeeklyHours } = req.body;
+
+      const tutor = await TutorService.createTutor({
+        userId,
+        firstName,
+        lastName,
+        department,
+        maxWeeklyHours
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Tutor created successfully',
+        data: tutor
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update tutor
+   */
+  static async updateTutor(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { firstName, lastName, department, maxWeeklyHours, isActive } = req.body;
+
+      const tutor = await TutorService.updateTutor(id, {
+        firstName,
+        lastName,
+        department,
+        maxWeeklyHours,
+        isActive
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Tutor updated successfully',
+        data: tutor
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace tutor availability
+   */
+  static async setAvailability(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { availability } = req.body;
+
+      const result = await TutorService.setAvailability(id, availability);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tutor availability updated successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get tutor teaching load
+   */
+  static async getTeachingLoad(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { semester, academicYear } = req.query;
+
+      const load = await TutorService.getTeachingLoad(id, semester, academicYear);
+
+      res.status(200).json({
+        success: true,
+        message: 'Teaching load fetched successfully',
+        data: load
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+  /**
+   * Get the signed-in tutor's profile
+   */
+  static async getMyProfile(req, res, next) {
+    try {
+      const tutor = await TutorService.getTutorForUser(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Tutor profile fetched successfully',
+        data: tutor
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get schedules taught by the signed-in tutor
+   */
+  static async getMySchedules(req, res, next) {
+    try {
+      const { semester, academicYear } = req.query;
+
+      const schedules = await TutorService.getOwnSchedules(req.user.id, { semester, academicYear });
+
+      res.status(200).json({
+        success: true,
+        message: 'Schedules fetched successfully',
+        data: schedules
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the roster of a class, as JSON or CSV (?format=csv)
+   */
+  static async getRoster(req, res, next) {
+    try {
+      const { scheduleId } = req.params;
+      const { format } = req.query;
+
+      if (format === 'csv') {
+        const { filename, csv } = await TutorService.exportRoster(req.user.id, scheduleId);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.status(200).send(csv);
+      }
+
+      const roster = await TutorService.getRoster(req.user.id, scheduleId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Class roster fetched successfully',
+        data: roster
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get attendance for a class
+   */
+  static async getAttendance(req, res, next) {
+    try {
+      const { scheduleId } = req.params;
+      const { sessionDate } = req.query;
+
+      const attendance = await TutorService.getAttendance(req.user.id, scheduleId, sessionDate);
+
+      res.status(200).json({
+        success: true,
+        message: 'Attendance fetched successfully',
+        data: attendance
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Record attendance for a class session
+   */
+  static async recordAttendance(req, res, next) {
+    try {
+      const { scheduleId } = req.params;
+      const { sessionDate, records } = req.body;
+
+      if (!sessionDate) {
+        throw new AppError('Session date is required', 400);
+      }
+
+      const attendance = await TutorService.recordAttendance(req.user.id, scheduleId, sessionDate, records);
+
+      res.status(200).json({
+        success: true,
+        message: 'Attendance recorded successfully',
+        data: attendance
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark enrollments in a class as completed
+   */
+  static async completeEnrollments(req, res, next) {
+    try {
+      const { scheduleId } = req.params;
+      const { enrollments } = req.body;
+
+      const completed = await TutorService.completeEnrollments(req.user.id, scheduleId, enrollments);
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollments completed successfully',
+        data: completed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
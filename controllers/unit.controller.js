@@ -1,6 +1,7 @@
 // controllers/unit.controller.js
-import UnitService from '../services/unit.service';
-import { AppError } from '../utils/errors';
+import UnitService from '../services/unit.service.js';
+import SettingService from '../services/setting.service.js';
+import { AppError } from '../utils/errors.js';
 
 export default class UnitController {
   /**
@@ -8,19 +9,13 @@ export default class UnitController {
    */
   static async getAllUnits(req, res, next) {
     try {
-      const { page = 1, limit = 10, search, credits, minCredits, maxCredits } = req.query;
-      
-      const filters = {
-        search,
-        credits,
-        minCredits,
-        maxCredits
-      };
+      const { page = 1, limit } = req.query;
+      const filters = UnitController.getUnitFilters(req.query);
 
       const result = await UnitService.getAllUnits(
         filters, 
         parseInt(page), 
-        parseInt(limit)
+        await SettingService.getPageLimit('units', limit)
       );
 
       res.status(200).json({
@@ -34,6 +29,20 @@ export default class UnitController {
     }
   }
 
+  /**
+   * Pick the unit list filters from a query string; exports accept the same ones
+   */
+  static getUnitFilters(query) {
+    const { search, credits, minCredits, maxCredits } = query;
+
+    return {
+      search,
+      credits,
+      minCredits,
+      maxCredits
+    };
+  }
+
   /**
    * Get unit by ID
    */
@@ -156,13 +165,13 @@ export default class UnitController {
    */
   static async searchUnits(req, res, next) {
     try {
-      const { q: query, limit = 20 } = req.query;
+      const { q: query, limit } = req.query;
 
       if (!query) {
         throw new AppError('Search query is required', 400);
       }
 
-      const units = await UnitService.searchUnits(query, parseInt(limit));
+      const units = await UnitService.searchUnits(query, await SettingService.getPageLimit('unitSearch', limit));
 
       res.status(200).json({
         success: true,
@@ -192,5 +201,47 @@ export default class UnitController {
       next(error);
     }
   }
-}
 
+  /**
+   * Get unit requisites
+   */
+  static async getUnitRequisites(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const requisites = await UnitService.getUnitRequisites(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Unit requisites fetched successfully',
+        data: requisites
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Replace unit requisites
+   */
+  static async setUnitRequisites(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { prerequisites, corequisites, antirequisites } = req.body;
+
+      const requisites = await UnitService.setUnitRequisites(id, {
+        prerequisites,
+        corequisites,
+        antirequisites
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Unit requisites updated successfully',
+        data: requisites
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
@@ -0,0 +1,165 @@
+// controllers/user.controller.js
+
+import UserService from '../services/user.service.js';
+import SettingService from '../services/setting.service.js';
+import { AppError } from '../utils/errors.js';
+
+const ROLES = ['STUDENT', 'ADMIN', 'TUTOR'];
+
+export default class UserController {
+  /**
+   * Get all users
+   */
+  static async getAllUsers(req, res, next) {
+    try {
+      const { page = 1, limit, role, isActive, search } = req.query;
+
+      if (role && !ROLES.includes(role)) {
+        throw new AppError('Invalid role', 400);
+      }
+
+      const filters = {
+        role,
+        search,
+        isActive: isActive === undefined ? undefined : isActive === 'true'
+      };
+
+      const result = await UserService.getAllUsers(
+        filters,
+        parseInt(page),
+        await SettingService.getPageLimit('users', limit)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Users fetched successfully',
+        data: result.users,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get user by ID
+   */
+  static async getUserById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await UserService.getUserById(id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User fetched successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a tutor or admin account
+   */
+  static async createUser(req, res, next) {
+    try {
+      const { email, password, role } = req.body;
+
+      if (!email || !password || !role) {
+        throw new AppError('Email, password, and role are required', 400);
+      }
+
+      const user = await UserService.createUser({ email, password, role }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change user role
+   */
+  static async changeRole(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      if (!role) {
+        throw new AppError('Role is required', 400);
+      }
+
+      const user = await UserService.changeRole(id, role, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User role updated successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Deactivate user
+   */
+  static async deactivateUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await UserService.setActive(id, false, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User deactivated successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Reactivate user
+   */
+  static async reactivateUser(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const user = await UserService.setActive(id, true, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User reactivated successfully',
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Force password reset
+   */
+  static async forcePasswordReset(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await UserService.forcePasswordReset(id, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset forced; the user has been sent a reset OTP'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
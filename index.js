@@ -4,6 +4,28 @@ import morgan from "morgan";
 import dotenv from "dotenv";
 import { PrismaClient } from "@prisma/client";
 import authRoutes from "./routes/auth.routes.js";
+import enrollmentRoutes from "./routes/enrollment.routes.js";
+import semesterRoutes from "./routes/semester.routes.js";
+import unitRoutes from "./routes/unit.routes.js";
+import scheduleRoutes from "./routes/schedule.routes.js";
+import timeSlotRoutes from "./routes/timeslot.routes.js";
+import userRoutes from "./routes/user.routes.js";
+import auditRoutes from "./routes/audit.routes.js";
+import creditLoadRoutes from "./routes/creditLoad.routes.js";
+import settingRoutes from "./routes/setting.routes.js";
+import tutorRoutes from "./routes/tutor.routes.js";
+import roomRoutes from "./routes/room.routes.js";
+import timetableRoutes from "./routes/timetable.routes.js";
+import importRoutes from "./routes/import.routes.js";
+import exportRoutes from "./routes/export.routes.js";
+import emailRoutes from "./routes/email.routes.js";
+import notificationRoutes from "./routes/notification.routes.js";
+import eventRoutes from "./routes/event.routes.js";
+import cartRoutes from "./routes/cart.routes.js";
+import EmailService from "./services/email.service.js";
+import TimetableService from "./services/timetable.service.js";
+import { notFoundHandler, errorHandler } from "./middleware/error.js";
+import { requestContextMiddleware } from "./utils/requestContext.js";
 
 dotenv.config();
 
@@ -22,9 +44,28 @@ process.on("uncaughtException", (err) => {
 app.use(cors());
 app.use(express.json());
 app.use(morgan("dev"));
+app.use(requestContextMiddleware);
 
 // 🔹 Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/enrollments", enrollmentRoutes);
+app.use("/api/semesters", semesterRoutes);
+app.use("/api/units", unitRoutes);
+app.use("/api/schedules", scheduleRoutes);
+app.use("/api/timeslots", timeSlotRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/audit-logs", auditRoutes);
+app.use("/api/credit-loads", creditLoadRoutes);
+app.use("/api/settings", settingRoutes);
+app.use("/api/tutors", tutorRoutes);
+app.use("/api/rooms", roomRoutes);
+app.use("/api/timetables", timetableRoutes);
+app.use("/api/imports", importRoutes);
+app.use("/api/exports", exportRoutes);
+app.use("/api/emails", emailRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/events", eventRoutes);
+app.use("/api/cart", cartRoutes);
 
 // 🔹 Health Check
 app.get("/api/health", async (req, res) => {
@@ -36,17 +77,28 @@ app.get("/api/health", async (req, res) => {
   }
 });
 
+// 🔹 Error Handling
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // 🔹 Start Server Function
 async function startServer() {
   try {
     await prisma.$connect();
     console.log("✅ Database connected");
 
+    // Generation runs in memory, so drafts a previous process was solving cannot finish.
+    // Sweep them before listening so no draft started by this process is caught.
+    await TimetableService.failInterruptedDrafts();
+
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
     });
 
+    // Deliver queued emails and enrollment-window announcements
+    await EmailService.startWorker();
+
     // Keep Node process alive
     setInterval(() => {}, 1 << 30);
 
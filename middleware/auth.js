@@ -1,6 +1,8 @@
 import jwt from 'jsonwebtoken';
-import { PrismaClient } from '../generated/prisma/index.js';
+import { PrismaClient } from '@prisma/client';
 import { AppError } from '../utils/errors.js';
+import { AuthService } from '../services/auth.service.js';
+import { setRequestUser } from '../utils/requestContext.js';
 
 
 const prisma = new PrismaClient();
@@ -40,7 +42,15 @@ const authMiddleware = async (req, res, next) => {
       throw new AppError('Account is deactivated.', 401);
     }
 
+    // Access tokens die with the session they were issued for
+    if (!(await AuthService.isSessionActive(decoded.sid))) {
+      throw new AppError('Session has been revoked.', 401);
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
+    req.tokenExpiresAt = decoded.exp * 1000;
+    setRequestUser(user.id);
     next();
   } catch (error) {
     if (error instanceof AppError) {
@@ -51,4 +61,18 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-export { authMiddleware };
\ No newline at end of file
+// EventSource cannot send headers, so event streams may pass the access token as ?token=
+const queryTokenAuthMiddleware = (req, res, next) => {
+  const token = req.query.token;
+
+  if (token && !req.header('Authorization')) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  // Keep the token out of request logs
+  req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/, '$1[redacted]');
+
+  return authMiddleware(req, res, next);
+};
+
+export { authMiddleware, queryTokenAuthMiddleware };
\ No newline at end of file
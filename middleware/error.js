@@ -0,0 +1,51 @@
+import { Prisma } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+
+// Prisma known-request error codes we can explain to the client
+const PRISMA_ERROR_MAP = {
+  P2002: { statusCode: 409, message: 'A record with these details already exists' },
+  P2003: { statusCode: 400, message: 'Referenced record does not exist' },
+  P2025: { statusCode: 404, message: 'Record not found' }
+};
+
+const notFoundHandler = (req, res, next) => {
+  next(new AppError(`Route ${req.method} ${req.originalUrl} not found`, 404));
+};
+
+const errorHandler = (err, req, res, next) => {
+  let statusCode = 500;
+  let message = 'Internal server error';
+  let details = null;
+
+  if (err instanceof AppError) {
+    statusCode = err.statusCode || 500;
+    message = err.message;
+    details = err.details;
+  } else if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    const mapped = PRISMA_ERROR_MAP[err.code];
+    if (mapped) {
+      statusCode = mapped.statusCode;
+      message = mapped.message;
+      details = err.meta?.target ? { fields: err.meta.target } : null;
+    }
+  } else if (err instanceof Prisma.PrismaClientValidationError) {
+    statusCode = 400;
+    message = 'Invalid request data';
+  } else if (err.type === 'entity.parse.failed') {
+    // Malformed JSON body rejected by express.json()
+    statusCode = 400;
+    message = 'Malformed JSON in request body';
+  }
+
+  if (statusCode >= 500) {
+    console.error('Unhandled error:', err);
+  }
+
+  res.status(statusCode).json({
+    success: false,
+    message,
+    ...(details && { details })
+  });
+};
+
+export { notFoundHandler, errorHandler };
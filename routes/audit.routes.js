@@ -0,0 +1,23 @@
+// routes/audit.routes.js
+
+import express from 'express';
+import AuditController from '../controllers/audit.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Admin-only routes
+router.get('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  AuditController.getAuditLogs
+);
+
+router.get('/export',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  AuditController.exportAuditLogs
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from "express";
 import AuthController  from "../controllers/auth.controller.js";
-import { authenticate } from "../middleware/auth.js";
+import { authMiddleware } from "../middleware/auth.js";
 
 
 const router = express.Router();
@@ -13,9 +13,14 @@ router.post("/forgot-password", AuthController.requestPasswordReset);
 router.post("/reset-password", AuthController.resetPassword);
 
 // Protected
-router.post("/logout", authenticate, AuthController.logout);
-router.post("/change-password", authenticate, AuthController.changePassword);
-router.get("/profile", authenticate, AuthController.profile);
-router.put("/profile", authenticate, AuthController.updateProfile);
+router.post("/logout", authMiddleware, AuthController.logout);
+router.post("/logout-all", authMiddleware, AuthController.logoutAll);
+router.post("/change-password", authMiddleware, AuthController.changePassword);
+router.get("/profile", authMiddleware, AuthController.profile);
+router.put("/profile", authMiddleware, AuthController.updateProfile);
+router.get("/profile/emergency-contacts", authMiddleware, AuthController.getEmergencyContacts);
+router.post("/profile/emergency-contacts", authMiddleware, AuthController.addEmergencyContact);
+router.put("/profile/emergency-contacts/:id", authMiddleware, AuthController.updateEmergencyContact);
+router.delete("/profile/emergency-contacts/:id", authMiddleware, AuthController.deleteEmergencyContact);
 
 export default router;
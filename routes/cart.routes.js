@@ -0,0 +1,41 @@
+// routes/cart.routes.js
+
+import express from 'express';
+import CartController from '../controllers/cart.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Student routes; carts are kept per semester
+router.get('/:semester',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  CartController.getCart
+);
+
+router.post('/:semester/items',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  CartController.addItem
+);
+
+router.delete('/:semester/items/:scheduleId',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  CartController.removeItem
+);
+
+router.delete('/:semester',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  CartController.clearCart
+);
+
+router.post('/:semester/submit',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  CartController.submitCart
+);
+
+export default router;
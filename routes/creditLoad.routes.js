@@ -0,0 +1,78 @@
+// routes/creditLoad.routes.js
+
+import express from 'express';
+import CreditLoadController from '../controllers/creditLoad.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Student routes
+router.get('/me',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  CreditLoadController.getMyCreditLoad
+);
+
+// Admin-only routes
+router.get('/students/:studentProfileId',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.getStudentCreditLoad
+);
+
+router.get('/defaults',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.getDefaultLimits
+);
+
+router.put('/defaults',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.updateDefaultLimits
+);
+
+router.get('/rules',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.getRules
+);
+
+router.post('/rules',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.createRule
+);
+
+router.put('/rules/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.updateRule
+);
+
+router.delete('/rules/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.deleteRule
+);
+
+router.get('/overloads',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.getOverloads
+);
+
+router.post('/overloads',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.grantOverload
+);
+
+router.delete('/overloads/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  CreditLoadController.revokeOverload
+);
+
+export default router;
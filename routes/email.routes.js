@@ -0,0 +1,23 @@
+// routes/email.routes.js
+
+import express from 'express';
+import EmailController from '../controllers/email.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Admin-only routes
+router.get('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  EmailController.getOutbox
+);
+
+router.post('/:id/retry',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  EmailController.retryEmail
+);
+
+export default router;
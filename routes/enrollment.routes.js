@@ -1,15 +1,61 @@
-// import express from "express";
-// import { authenticate, authorize } from "../middleware/auth.js";
-// import * as enrollmentController from "../controllers/enrollmentController.js";
+// routes/enrollment.routes.js
 
-// const router = express.Router();
+import express from 'express';
+import EnrollmentController from '../controllers/enrollment.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
 
-// // Student actions
-// router.post("/", authenticate, authorize(["STUDENT"]), enrollmentController.requestEnrollment);
-// router.patch("/:id/withdraw", authenticate, authorize(["STUDENT"]), enrollmentController.withdrawEnrollment);
+const router = express.Router();
 
-// // Admin actions
-// router.patch("/:id/approve", authenticate, authorize(["ADMIN"]), enrollmentController.approveEnrollment);
-// router.patch("/:id/reject", authenticate, authorize(["ADMIN"]), enrollmentController.rejectEnrollment);
+// Student routes
+router.post('/',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  EnrollmentController.requestEnrollment
+);
 
-// export default router;
+router.get('/me',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  EnrollmentController.getMyEnrollments
+);
+
+router.patch('/:id/withdraw',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  EnrollmentController.withdrawEnrollment
+);
+
+// Students see their own enrollment, admins see any
+router.get('/:id',
+  authMiddleware,
+  roleMiddleware(['STUDENT', 'ADMIN']),
+  EnrollmentController.getEnrollmentById
+);
+
+// Admin-only routes
+router.get('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  EnrollmentController.getAllEnrollments
+);
+
+router.get('/schedule/:scheduleId/waitlist',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  EnrollmentController.getScheduleWaitlist
+);
+
+router.patch('/:id/approve',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  EnrollmentController.approveEnrollment
+);
+
+router.patch('/:id/reject',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  EnrollmentController.rejectEnrollment
+);
+
+export default router;
@@ -0,0 +1,12 @@
+// routes/event.routes.js
+
+import express from 'express';
+import EventController from '../controllers/event.controller.js';
+import { queryTokenAuthMiddleware } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Live seat counts and own enrollment changes (any authenticated user)
+router.get('/stream', queryTokenAuthMiddleware, EventController.stream);
+
+export default router;
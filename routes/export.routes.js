@@ -0,0 +1,36 @@
+// routes/export.routes.js
+
+import express from 'express';
+import ExportController from '../controllers/export.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Student routes
+router.get('/me/timetable',
+  authMiddleware,
+  roleMiddleware(['STUDENT']),
+  ExportController.getMyTimetablePdf
+);
+
+// Admin-only routes
+router.get('/enrollments',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  ExportController.exportEnrollments
+);
+
+router.get('/timetable',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  ExportController.exportTimetable
+);
+
+router.get('/student-contacts',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  ExportController.exportStudentContacts
+);
+
+export default router;
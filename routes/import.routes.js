@@ -0,0 +1,28 @@
+// routes/import.routes.js
+
+import express from 'express';
+import ImportController from '../controllers/import.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+import { CSV_TYPE, XLSX_TYPE } from '../utils/spreadsheet.js';
+
+const router = express.Router();
+
+// Files are sent as the raw request body rather than multipart form data
+const uploadParser = express.raw({ type: [CSV_TYPE, XLSX_TYPE], limit: '10mb' });
+
+// Admin-only routes
+router.get('/:type/template',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  ImportController.getTemplate
+);
+
+router.post('/:type',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  uploadParser,
+  ImportController.importFile
+);
+
+export default router;
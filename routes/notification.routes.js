@@ -0,0 +1,28 @@
+// routes/notification.routes.js
+
+import express from 'express';
+import NotificationController from '../controllers/notification.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Admin-only routes
+router.get('/broadcasts',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  NotificationController.getBroadcasts
+);
+
+router.post('/broadcasts',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  NotificationController.broadcast
+);
+
+// Own inbox (any authenticated user)
+router.get('/', authMiddleware, NotificationController.getNotifications);
+router.patch('/read-all', authMiddleware, NotificationController.markAllRead);
+router.patch('/:id/read', authMiddleware, NotificationController.markRead);
+
+export default router;
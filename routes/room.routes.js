@@ -0,0 +1,33 @@
+// routes/room.routes.js
+
+import express from 'express';
+import RoomController from '../controllers/room.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Public routes (accessible by authenticated users)
+router.get('/', authMiddleware, RoomController.getAllRooms);
+router.get('/:id', authMiddleware, RoomController.getRoomById);
+
+// Admin-only routes
+router.post('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  RoomController.createRoom
+);
+
+router.put('/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  RoomController.updateRoom
+);
+
+router.delete('/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  RoomController.deactivateRoom
+);
+
+export default router;
@@ -1,9 +1,9 @@
 // routes/schedule.routes.js
 
 import express from 'express';
-import {ScheduleController} from '../controllers/schedule.controller.js';
-import { authMiddleware } from '../middleware/auth';
-import { roleMiddleware } from '../middleware/role';
+import ScheduleController from '../controllers/schedule.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
 
 
 const router = express.Router();
@@ -0,0 +1,40 @@
+// routes/semester.routes.js
+
+import express from 'express';
+import SemesterController from '../controllers/semester.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Public routes (accessible by authenticated students and admins)
+router.get('/', authMiddleware, SemesterController.getAllSemesters);
+router.get('/current', authMiddleware, SemesterController.getCurrentSemester);
+router.get('/:id', authMiddleware, SemesterController.getSemesterById);
+
+// Admin-only routes
+router.post('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SemesterController.createSemester
+);
+
+router.put('/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SemesterController.updateSemester
+);
+
+router.put('/:id/set-current',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SemesterController.setCurrentSemester
+);
+
+router.delete('/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SemesterController.deleteSemester
+);
+
+export default router;
@@ -0,0 +1,29 @@
+// routes/setting.routes.js
+
+import express from 'express';
+import SettingController from '../controllers/setting.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Admin-only routes
+router.get('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SettingController.getAllSettings
+);
+
+router.get('/:key',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SettingController.getSetting
+);
+
+router.put('/:key',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  SettingController.updateSetting
+);
+
+export default router;
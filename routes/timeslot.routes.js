@@ -2,7 +2,7 @@
 
 
 import express from 'express';
-import { TimeSlotController } from '../controllers/timeslot.controller.js';
+import TimeSlotController from '../controllers/timeslot.controller.js';
 import { authMiddleware } from '../middleware/auth.js';
 import { roleMiddleware } from '../middleware/role.js';
 
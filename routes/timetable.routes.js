@@ -0,0 +1,41 @@
+// routes/timetable.routes.js
+
+import express from 'express';
+import TimetableController from '../controllers/timetable.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Admin-only routes
+router.post('/drafts',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TimetableController.generateDraft
+);
+
+router.get('/drafts',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TimetableController.getDrafts
+);
+
+router.get('/drafts/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TimetableController.getDraftById
+);
+
+router.post('/drafts/:id/commit',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TimetableController.commitDraft
+);
+
+router.delete('/drafts/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TimetableController.discardDraft
+);
+
+export default router;
@@ -0,0 +1,76 @@
+// routes/tutor.routes.js
+
+import express from 'express';
+import TutorController from '../controllers/tutor.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Tutor routes, limited to the signed-in tutor's own schedules
+router.get('/me',
+  authMiddleware,
+  roleMiddleware(['TUTOR']),
+  TutorController.getMyProfile
+);
+
+router.get('/me/schedules',
+  authMiddleware,
+  roleMiddleware(['TUTOR']),
+  TutorController.getMySchedules
+);
+
+router.get('/me/schedules/:scheduleId/roster',
+  authMiddleware,
+  roleMiddleware(['TUTOR']),
+  TutorController.getRoster
+);
+
+router.get('/me/schedules/:scheduleId/attendance',
+  authMiddleware,
+  roleMiddleware(['TUTOR']),
+  TutorController.getAttendance
+);
+
+router.put('/me/schedules/:scheduleId/attendance',
+  authMiddleware,
+  roleMiddleware(['TUTOR']),
+  TutorController.recordAttendance
+);
+
+router.patch('/me/schedules/:scheduleId/complete',
+  authMiddleware,
+  roleMiddleware(['TUTOR']),
+  TutorController.completeEnrollments
+);
+
+// Public routes (accessible by authenticated users)
+router.get('/', authMiddleware, TutorController.getAllTutors);
+router.get('/:id', authMiddleware, TutorController.getTutorById);
+
+// Admin-only routes
+router.post('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TutorController.createTutor
+);
+
+router.put('/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TutorController.updateTutor
+);
+
+router.put('/:id/availability',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TutorController.setAvailability
+);
+
+router.get('/:id/load',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  TutorController.getTeachingLoad
+);
+
+export default router;
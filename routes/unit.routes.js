@@ -1,8 +1,8 @@
 // routes/unit.routes.js
 import express from 'express';
-import { UnitController } from '../controllers/unit.controller';
-import { authMiddleware } from '../middleware/auth';
-import { roleMiddleware } from '../middleware/role';
+import UnitController from '../controllers/unit.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
 
 
 const router = express.Router();
@@ -11,6 +11,7 @@ const router = express.Router();
 router.get('/', authMiddleware, UnitController.getAllUnits);
 router.get('/search', authMiddleware, UnitController.searchUnits);
 router.get('/:id', authMiddleware, UnitController.getUnitById);
+router.get('/:id/requisites', authMiddleware, UnitController.getUnitRequisites);
 
 // Admin-only routes
 router.post('/', 
@@ -37,4 +38,10 @@ router.get('/:id/stats',
   UnitController.getUnitStats
 );
 
+router.put('/:id/requisites', 
+  authMiddleware, 
+  roleMiddleware(['ADMIN']), 
+  UnitController.setUnitRequisites
+);
+
 export default router;
\ No newline at end of file
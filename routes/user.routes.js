@@ -0,0 +1,53 @@
+// routes/user.routes.js
+
+import express from 'express';
+import UserController from '../controllers/user.controller.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { roleMiddleware } from '../middleware/role.js';
+
+const router = express.Router();
+
+// Admin-only routes
+router.get('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.getAllUsers
+);
+
+router.get('/:id',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.getUserById
+);
+
+router.post('/',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.createUser
+);
+
+router.put('/:id/role',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.changeRole
+);
+
+router.put('/:id/deactivate',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.deactivateUser
+);
+
+router.put('/:id/reactivate',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.reactivateUser
+);
+
+router.post('/:id/force-password-reset',
+  authMiddleware,
+  roleMiddleware(['ADMIN']),
+  UserController.forcePasswordReset
+);
+
+export default router;
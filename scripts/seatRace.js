@@ -0,0 +1,292 @@
+// scripts/seatRace.js
+//
+// Concurrency harness for seat allocation. Creates a throwaway semester, units, schedules and
+// students, fires enrollment requests, approvals, withdrawals and rejections at the same schedule
+// in parallel through the real services, then submits carts that share schedules in parallel.
+// It fails if any round leaves more approved seats than a schedule's capacity or a broken
+// waitlist. Everything it creates is removed afterwards.
+//
+// Run against a development database only:
+//   node scripts/seatRace.js [--capacity 5] [--students 40] [--rounds 3]
+//
+// Prisma's pool is small by default; add ?connection_limit=20 to DATABASE_URL for more overlap.
+// Admins receive (and the cleanup removes) an ENROLLMENT_REQUESTED notification per request.
+
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import EnrollmentService from '../services/enrollment.service.js';
+import CartService from '../services/cart.service.js';
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const option = (name, fallback) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : parseInt(process.argv[index + 1]);
+};
+
+const CAPACITY = option('capacity', 5);
+const STUDENTS = option('students', 40);
+const ROUNDS = option('rounds', 3);
+const CART_SCHEDULES = 3;
+
+const tag = `RACE${Date.now().toString(36).toUpperCase()}`;
+
+/**
+ * Create the semester, units, schedules, admin and students used by one run.
+ * Records are added to the fixtures as they are created, so a failure partway still cleans up.
+ * @param {Object} fixtures - Empty fixture lists to fill
+ * @returns {Promise<void>}
+ */
+async function createFixtures(fixtures) {
+  const now = Date.now();
+  const day = await prisma.day.findFirst({ orderBy: { dayOrder: 'asc' } });
+
+  if (!day) {
+    throw new Error('Seed the days table before running the harness');
+  }
+
+  fixtures.semester = await prisma.semester.create({
+    data: {
+      name: tag,
+      academicYear: 9000 + Math.floor(Math.random() * 999),
+      semesterNumber: 9,
+      startDate: new Date(now + 30 * 86400000),
+      endDate: new Date(now + 120 * 86400000),
+      enrollmentStart: new Date(now - 86400000),
+      enrollmentEnd: new Date(now + 86400000)
+    }
+  });
+
+  // The first schedule is raced directly; the others only through carts. Each has its own hour.
+  for (let index = 0; index <= CART_SCHEDULES; index++) {
+    const code = `${tag}-${index}`;
+    const hour = String(9 + index).padStart(2, '0');
+
+    const unit = await prisma.unit.create({
+      data: { unitCode: code, title: 'Seat race', credits: 1, capacity: CAPACITY }
+    });
+    fixtures.units.push(unit);
+
+    const timeSlot = await prisma.timeSlot.create({
+      data: {
+        name: code,
+        startTime: new Date(`1970-01-01T${hour}:00:00Z`),
+        endTime: new Date(`1970-01-01T${hour}:50:00Z`)
+      }
+    });
+    fixtures.timeSlots.push(timeSlot);
+
+    const schedule = await prisma.schedule.create({
+      data: {
+        unitId: unit.id,
+        timeSlotId: timeSlot.id,
+        dayId: day.id,
+        semester: fixtures.semester.name,
+        academicYear: fixtures.semester.academicYear
+      }
+    });
+    fixtures.schedules.push(schedule);
+  }
+
+  fixtures.admin = await prisma.user.create({
+    data: { email: `${tag.toLowerCase()}-admin@example.test`, password: '!', role: 'ADMIN' }
+  });
+
+  for (let index = 0; index < STUDENTS; index++) {
+    const user = await prisma.user.create({
+      data: {
+        email: `${tag.toLowerCase()}-${index}@example.test`,
+        password: '!',
+        studentProfile: {
+          create: {
+            studentId: `${tag}-${index}`,
+            firstName: 'Seat',
+            lastName: `Racer ${index}`,
+            address: 'n/a',
+            program: tag,
+            yearLevel: 1
+          }
+        }
+      },
+      include: { studentProfile: true }
+    });
+
+    fixtures.students.push(user.studentProfile);
+  }
+}
+
+/**
+ * Remove everything a run created, however far fixture creation got
+ * @param {Object} fixtures - Fixture records
+ * @returns {Promise<void>}
+ */
+async function removeFixtures({ semester, units, timeSlots, schedules, admin, students }) {
+  const scheduleIds = schedules.map(schedule => schedule.id);
+  const studentIds = students.map(student => student.id);
+  const userIds = [...(admin ? [admin.id] : []), ...students.map(student => student.userId)];
+  const enrollments = await prisma.enrollment.findMany({
+    where: { scheduleId: { in: scheduleIds } },
+    select: { id: true }
+  });
+
+  await prisma.notification.deleteMany({ where: { userId: { in: userIds } } });
+  for (const scheduleId of scheduleIds) {
+    await prisma.notification.deleteMany({ where: { data: { path: '$.scheduleId', equals: scheduleId } } });
+  }
+  await prisma.emailOutbox.deleteMany({ where: { toAddress: { contains: tag.toLowerCase() } } });
+  await prisma.auditLog.deleteMany({
+    where: { entityType: 'Enrollment', entityId: { in: enrollments.map(enrollment => enrollment.id) } }
+  });
+  await prisma.enrollment.deleteMany({ where: { scheduleId: { in: scheduleIds } } });
+  // Carts go with the semester and their items with the schedules
+  await prisma.schedule.deleteMany({ where: { id: { in: scheduleIds } } });
+  await prisma.timeSlot.deleteMany({ where: { id: { in: timeSlots.map(timeSlot => timeSlot.id) } } });
+  await prisma.unit.deleteMany({ where: { id: { in: units.map(unit => unit.id) } } });
+  if (semester) {
+    await prisma.semester.delete({ where: { id: semester.id } });
+  }
+  await prisma.studentProfile.deleteMany({ where: { id: { in: studentIds } } });
+  await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+}
+
+/**
+ * Run tasks at the same time and tally how they ended
+ * @param {string} label - Round name
+ * @param {Array<Function>} tasks - Calls to race
+ * @returns {Promise<void>}
+ */
+async function race(label, tasks) {
+  const results = await Promise.allSettled(tasks.map(task => task()));
+  const outcomes = {};
+
+  for (const result of results) {
+    const key = result.status === 'fulfilled'
+      ? `ok ${result.value?.status || ''}`.trim()
+      : `${result.reason.statusCode || 'error'} ${result.reason.message}`;
+    outcomes[key] = (outcomes[key] || 0) + 1;
+  }
+
+  console.log(`\n${label}`);
+  for (const [key, count] of Object.entries(outcomes)) {
+    console.log(`  ${String(count).padStart(4)}  ${key}`);
+  }
+}
+
+/**
+ * Fail when the schedule holds more approved seats than its capacity or the waitlist has gaps
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Current enrollments by status
+ */
+async function assertInvariants(scheduleId) {
+  const enrollments = await prisma.enrollment.findMany({ where: { scheduleId } });
+  const byStatus = status => enrollments.filter(enrollment => enrollment.status === status);
+
+  const approved = byStatus('APPROVED');
+  const positions = byStatus('WAITLISTED').map(enrollment => enrollment.waitlistPosition).sort((a, b) => a - b);
+
+  console.log(`  -> approved ${approved.length}/${CAPACITY}, pending ${byStatus('PENDING').length}, waitlisted ${positions.length}`);
+
+  if (approved.length > CAPACITY) {
+    throw new Error(`Oversold: ${approved.length} approved seats for a capacity of ${CAPACITY}`);
+  }
+
+  if (positions.some((position, index) => position !== index + 1)) {
+    throw new Error(`Waitlist positions are not 1..${positions.length}: ${positions.join(', ')}`);
+  }
+
+  return {
+    approved,
+    pending: byStatus('PENDING'),
+    waitlisted: byStatus('WAITLISTED')
+  };
+}
+
+async function main() {
+  console.log(`Seat race ${tag}: capacity ${CAPACITY}, ${STUDENTS} students, ${ROUNDS} rounds`);
+
+  const fixtures = { units: [], timeSlots: [], schedules: [], students: [] };
+
+  try {
+    await createFixtures(fixtures);
+
+    const { semester, schedules, admin, students } = fixtures;
+    const [schedule, ...cartSchedules] = schedules;
+    const half = Math.ceil(students.length / 2);
+
+    // Half the students request while seats are free, then every request is approved at once
+    await race('Requests while seats are free', students.slice(0, half).map(student =>
+      () => EnrollmentService.requestEnrollment(student.id, schedule.id)
+    ));
+    let state = await assertInvariants(schedule.id);
+
+    await race('Approve every pending request', state.pending.map(enrollment =>
+      () => EnrollmentService.approveEnrollment(enrollment.id, admin.id)
+    ));
+    state = await assertInvariants(schedule.id);
+
+    // The schedule is full now, so the other half has to queue without duplicate positions
+    await race('Requests against a full schedule', students.slice(half).map(student =>
+      () => EnrollmentService.requestEnrollment(student.id, schedule.id)
+    ));
+    state = await assertInvariants(schedule.id);
+
+    // Freed seats are contested by waitlist promotion and direct approvals
+    for (let round = 1; round <= ROUNDS; round++) {
+      const leaving = state.approved.slice(0, 2);
+
+      await race(`Churn round ${round}`, [
+        ...leaving.map((enrollment, index) => index % 2 === 0
+          ? () => EnrollmentService.withdrawEnrollment(enrollment.studentProfileId, enrollment.id)
+          : () => EnrollmentService.rejectEnrollment(enrollment.id, admin.id, 'Seat race')
+        ),
+        ...state.pending.map(enrollment => () => EnrollmentService.approveEnrollment(enrollment.id, admin.id)),
+        ...state.waitlisted.map(enrollment => () => EnrollmentService.approveEnrollment(enrollment.id, admin.id))
+      ]);
+      state = await assertInvariants(schedule.id);
+    }
+
+    // Fill the cart schedules so every cart item has to queue behind the same waitlist
+    const [fillers, shoppers] = [students.slice(0, CAPACITY), students.slice(CAPACITY)];
+
+    for (const cartSchedule of cartSchedules) {
+      for (const student of fillers) {
+        const requested = await EnrollmentService.requestEnrollment(student.id, cartSchedule.id);
+        await EnrollmentService.approveEnrollment(requested.id, admin.id);
+      }
+    }
+
+    // Carts list the shared schedules in different orders; submit locks them in ID order regardless
+    for (const [index, student] of shoppers.entries()) {
+      const ordered = index % 2 === 0 ? cartSchedules : [...cartSchedules].reverse();
+      for (const cartSchedule of ordered) {
+        await CartService.addItem(student.id, semester.name, cartSchedule.id);
+      }
+    }
+
+    await race('Carts sharing schedules', shoppers.map(student =>
+      () => CartService.submitCart(student.id, semester.name)
+    ));
+
+    for (const cartSchedule of cartSchedules) {
+      const cartState = await assertInvariants(cartSchedule.id);
+
+      // A stale seat count would let a cart item in as pending while others queue
+      if (cartState.pending.length > 0) {
+        throw new Error(`${cartState.pending.length} cart request(s) skipped the waitlist on a full schedule`);
+      }
+    }
+
+    console.log('\nNo seats were oversold.');
+  } finally {
+    await removeFixtures(fixtures);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(`\n${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit());
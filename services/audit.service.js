@@ -0,0 +1,195 @@
+// services/audit.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { toCsv } from '../utils/csv.js';
+
+const prisma = new PrismaClient();
+
+const EXPORT_LIMIT = 10000;
+
+const auditColumns = [
+  { header: 'id', value: log => log.id },
+  { header: 'timestamp', value: log => log.timestamp },
+  { header: 'userId', value: log => log.userId },
+  { header: 'userEmail', value: log => log.user?.email },
+  { header: 'action', value: log => log.action },
+  { header: 'entityType', value: log => log.entityType },
+  { header: 'entityId', value: log => log.entityId },
+  { header: 'oldValues', value: log => log.oldValues },
+  { header: 'newValues', value: log => log.newValues },
+  { header: 'ipAddress', value: log => log.ipAddress },
+  { header: 'userAgent', value: log => log.userAgent }
+];
+
+// Round-trip through JSON so Dates and Prisma objects are stored as plain JSON
+const toJson = (value) => (value === null || value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+export default class AuditService {
+  /**
+   * Record an audit entry, filling user, IP and user agent from the request context
+   * @param {Object} entry - action, entityType, entityId, oldValues, newValues and optional userId
+   * @returns {Promise<void>}
+   */
+  static async log({ action, entityType, entityId, oldValues = null, newValues = null, userId }) {
+    try {
+      const context = getRequestContext();
+
+      await prisma.auditLog.create({
+        data: {
+          userId: userId !== undefined ? userId : context.userId || null,
+          action,
+          entityType,
+          entityId,
+          oldValues: toJson(oldValues) ?? undefined,
+          newValues: toJson(newValues) ?? undefined,
+          ipAddress: context.ipAddress || null,
+          userAgent: context.userAgent || null
+        }
+      });
+    } catch (error) {
+      // Log audit failure but don't throw - shouldn't break main flow
+      console.error('Audit logging failed:', error);
+    }
+  }
+
+  /**
+   * Record an update, keeping only the fields that actually changed
+   * @param {Object} entry - action, entityType, entityId and optional userId
+   * @param {Object} before - Record before the change
+   * @param {Object} after - Record after the change
+   * @returns {Promise<void>}
+   */
+  static async logChanges(entry, before, after) {
+    const { oldValues, newValues } = this.diff(before, after);
+
+    if (Object.keys(newValues).length === 0) {
+      return;
+    }
+
+    await this.log({ ...entry, oldValues, newValues });
+  }
+
+  /**
+   * Compute the changed fields between two records
+   * @param {Object} before - Record before the change
+   * @param {Object} after - Record after the change
+   * @returns {{oldValues: Object, newValues: Object}} Changed fields only
+   */
+  static diff(before = {}, after = {}) {
+    const oldValues = {};
+    const newValues = {};
+    const previous = toJson(before) || {};
+    const current = toJson(after) || {};
+
+    for (const key of Object.keys(current)) {
+      // Nested relations are not part of the record itself
+      if (current[key] !== null && typeof current[key] === 'object' && !Array.isArray(current[key])) {
+        continue;
+      }
+
+      if (JSON.stringify(previous[key]) !== JSON.stringify(current[key])) {
+        oldValues[key] = previous[key] ?? null;
+        newValues[key] = current[key];
+      }
+    }
+
+    return { oldValues, newValues };
+  }
+
+  /**
+   * Get audit logs with filters
+   * @param {Object} filters - userId, action, entityType, entityId, from, to
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} Audit logs with pagination
+   */
+  static async getAuditLogs(filters = {}, page = 1, limit = 50) {
+    try {
+      const where = this.buildWhere(filters);
+      const skip = (page - 1) * limit;
+
+      const [logs, totalCount] = await Promise.all([
+        prisma.auditLog.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { timestamp: 'desc' },
+          include: {
+            user: { select: { id: true, email: true, role: true } }
+          }
+        }),
+        prisma.auditLog.count({ where })
+      ]);
+
+      return {
+        logs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalItems: totalCount,
+          hasNext: page < Math.ceil(totalCount / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch audit logs', 500);
+    }
+  }
+
+  /**
+   * Export audit logs as CSV
+   * @param {Object} filters - Same filters as getAuditLogs
+   * @returns {Promise<string>} CSV text
+   */
+  static async exportAuditLogs(filters = {}) {
+    try {
+      const logs = await prisma.auditLog.findMany({
+        where: this.buildWhere(filters),
+        orderBy: { timestamp: 'desc' },
+        take: EXPORT_LIMIT,
+        include: {
+          user: { select: { email: true } }
+        }
+      });
+
+      return toCsv(logs, auditColumns);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to export audit logs', 500);
+    }
+  }
+
+  /**
+   * Build the Prisma filter for audit queries
+   * @param {Object} filters - Filter options
+   * @returns {Object} Prisma where clause
+   */
+  static buildWhere(filters) {
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      throw new AppError('Invalid date range', 400);
+    }
+
+    return {
+      ...(filters.userId && { userId: parseInt(filters.userId) }),
+      ...(filters.action && { action: filters.action }),
+      ...(filters.entityType && { entityType: filters.entityType }),
+      ...(filters.entityId && { entityId: parseInt(filters.entityId) }),
+      ...((from || to) && {
+        timestamp: {
+          ...(from && { gte: from }),
+          ...(to && { lte: to })
+        }
+      })
+    };
+  }
+}
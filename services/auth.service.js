@@ -5,86 +5,42 @@ import { PrismaClient } from '@prisma/client';
 import {AppError} from '../utils/errors.js';
 import { validateEmail, validatePassword } from '../utils/validation.js';
 import crypto from "crypto";
-import nodemailer from "nodemailer";
+import AuditService from './audit.service.js';
+import SettingService from './setting.service.js';
+import EmailService from './email.service.js';
 
 const prisma = new PrismaClient();
 
 export class AuthService {
   static JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
   static JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret';
-  static JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
-  static JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+  // Token lifetimes come from the JWT_ACCESS_TOKEN_TTL and JWT_REFRESH_TOKEN_TTL settings
+
+  // Brute-force protection
+  static LOGIN_DELAY_THRESHOLD = 3; // Failures before progressive delays start
+  static MAX_FAILED_LOGINS = 5; // Failures before the account is locked
+  static LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+  static MAX_IP_FAILURES = 20; // Failures from one IP within the window
+  static IP_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+  static MAX_OTP_ATTEMPTS = 5;
+  static OTP_REISSUE_INTERVAL_MS = 60 * 1000; // Minimum wait between reset OTPs for one account
 
   
   static async register(data) {
-    const { email, password, role = 'STUDENT', ...profileData } = data;
+    const { email, password, role: requestedRole, ...profileData } = data;
 
-    // Validate input
-    if (!validateEmail(email)) {
-      throw new AppError('Invalid email format', 400);
-    }
-
-    if (!validatePassword(password)) {
-      throw new AppError('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character', 400);
+    // Self-registration only creates students; staff accounts are created by admins
+    if (requestedRole && requestedRole !== 'STUDENT') {
+      throw new AppError('Only student accounts can self-register', 403);
     }
 
     try {
-      // Check if user already exists
-      const existingUser = await prisma.user.findUnique({
-        where: { email }
-      });
-
-      if (existingUser) {
-        throw new AppError('User already exists with this email', 409);
-      }
-
-      // Hash password
-      const saltRounds = 12;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-      // Create user with transaction
-      const result = await prisma.$transaction(async (tx) => {
-        // Create user
-        const user = await tx.user.create({
-          data: {
-            email,
-            password: hashedPassword,
-            role,
-          }
-        });
-
-        // Create student profile if role is STUDENT
-        let studentProfile = null;
-        if (role === 'STUDENT') {
-          if (!profileData.firstName || !profileData.lastName || !profileData.program || !profileData.yearLevel) {
-            throw new AppError('Student profile data is required for student registration', 400);
-          }
-
-          // Generate student ID if not provided
-          const studentId = profileData.studentId || await this.generateStudentId(tx);
-
-          studentProfile = await tx.studentProfile.create({
-            data: {
-              userId: user.id,
-              studentId,
-              firstName: profileData.firstName,
-              lastName: profileData.lastName,
-              emailAddress: profileData.email || email,
-              address: profileData.address || '',
-              phone: profileData.phone,
-              program: profileData.program,
-              yearLevel: profileData.yearLevel,
-              dateOfBirth: profileData.dateOfBirth ? new Date(profileData.dateOfBirth) : null,
-            }
-          });
-        }
-
-        return { user, studentProfile };
-      });
+      const result = await prisma.$transaction(async (tx) =>
+        this.createStudentAccount({ email, password, ...profileData }, tx)
+      );
 
       // Generate tokens
-      const token = this.generateToken(result.user.id, result.user.role);
-      const refreshToken = this.generateRefreshToken(result.user.id);
+      const { token, refreshToken } = await this.createSession(result.user);
 
       return {
         user: {
@@ -114,7 +70,95 @@ export class AuthService {
         }
   }
 
-  static async login(data) {
+  /**
+   * Check the fields of a new student account, without touching the database
+   * @param {Object} data - email, password and student profile fields
+   * @returns {number} Parsed year level
+   */
+  static validateStudentAccount(data) {
+    const { email, password, ...profileData } = data;
+
+    if (!validateEmail(email)) {
+      throw new AppError('Invalid email format', 400);
+    }
+
+    if (!validatePassword(password)) {
+      throw new AppError('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character', 400);
+    }
+
+    if (!profileData.firstName || !profileData.lastName || !profileData.program || !profileData.yearLevel) {
+      throw new AppError('Student profile data is required for student registration', 400);
+    }
+
+    const yearLevel = parseInt(profileData.yearLevel);
+
+    if (isNaN(yearLevel) || yearLevel <= 0) {
+      throw new AppError('Year level must be a positive number', 400);
+    }
+
+    return yearLevel;
+  }
+
+  /**
+   * Validate and create a student user with their profile
+   * @param {Object} data - email, password and student profile fields; passwordHash skips hashing
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Created user and student profile
+   */
+  static async createStudentAccount(data, client = prisma) {
+    const { email, password, passwordHash, ...profileData } = data;
+
+    const yearLevel = this.validateStudentAccount(data);
+
+    // Check if user already exists
+    const existingUser = await client.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      throw new AppError('User already exists with this email', 409);
+    }
+
+    if (profileData.studentId) {
+      const existingProfile = await client.studentProfile.findUnique({
+        where: { studentId: profileData.studentId }
+      });
+
+      if (existingProfile) {
+        throw new AppError('Student ID already exists', 409);
+      }
+    }
+
+    const user = await client.user.create({
+      data: {
+        email,
+        password: passwordHash || await this.hashPassword(password),
+        role: 'STUDENT',
+      }
+    });
+
+    // Generate student ID if not provided
+    const studentId = profileData.studentId || await this.generateStudentId(client);
+
+    const studentProfile = await client.studentProfile.create({
+      data: {
+        userId: user.id,
+        studentId,
+        firstName: profileData.firstName,
+        lastName: profileData.lastName,
+        emailAddress: profileData.email || email,
+        address: profileData.address || '',
+        phone: profileData.phone || null,
+        program: profileData.program,
+        yearLevel,
+        dateOfBirth: profileData.dateOfBirth ? new Date(profileData.dateOfBirth) : null,
+      }
+    });
+
+    return { user, studentProfile };
+  }
+
+  static async login(data, ipAddress = null) {
     const { email, password } = data;
 
     if (!email || !password) {
@@ -122,6 +166,8 @@ export class AuthService {
     }
 
     try {
+      await this.checkIpThrottle(ipAddress);
+
       // Find user with student profile
       const user = await prisma.user.findUnique({
         where: { email },
@@ -131,9 +177,12 @@ export class AuthService {
       });
 
       if (!user) {
+        await this.recordLoginAttempt(email, ipAddress, false);
         throw new AppError('Invalid credentials', 401);
       }
 
+      this.checkAccountLock(user);
+
       if (!user.isActive) {
         throw new AppError('Account is deactivated', 401);
       }
@@ -141,12 +190,15 @@ export class AuthService {
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
+        await this.registerFailedLogin(user, ipAddress);
         throw new AppError('Invalid credentials', 401);
       }
 
+      await this.clearFailedLogins(user, 'login');
+      await this.recordLoginAttempt(email, ipAddress, true);
+
       // Generate tokens
-      const token = this.generateToken(user.id, user.role);
-      const refreshToken = this.generateRefreshToken(user.id);
+      const { token, refreshToken } = await this.createSession(user);
 
       // Log successful login
       await this.logAuditEvent(user.id, 'USER_LOGIN', 'User', user.id);
@@ -180,35 +232,82 @@ export class AuthService {
 
  
   static async refreshToken(refreshToken) {
+    let decoded;
     try {
-      const decoded = jwt.verify(refreshToken, this.JWT_REFRESH_SECRET);
-      
-      const user = await prisma.user.findUnique({
-        where: { id: decoded.userId }
+      decoded = jwt.verify(refreshToken, this.JWT_REFRESH_SECRET);
+    } catch (error) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    try {
+      const stored = await prisma.refreshToken.findUnique({
+        where: { tokenHash: this.hashToken(refreshToken) },
+        include: { user: true }
       });
 
-      if (!user || !user.isActive) {
+      if (!stored || stored.userId !== decoded.userId) {
         throw new AppError('Invalid refresh token', 401);
       }
 
-      const newToken = this.generateToken(user.id, user.role);
-      const newRefreshToken = this.generateRefreshToken(user.id);
+      // A revoked token being presented again means it has leaked
+      if (stored.revokedAt) {
+        await this.revokeReusedTokenFamily(stored);
+        throw new AppError('Refresh token has been revoked', 401);
+      }
+
+      if (stored.expiresAt < new Date() || !stored.user.isActive) {
+        throw new AppError('Invalid refresh token', 401);
+      }
+
+      const newRefreshToken = await prisma.$transaction(async (tx) => {
+        // Conditional revoke so two concurrent rotations cannot both succeed
+        const { count } = await tx.refreshToken.updateMany({
+          where: { id: stored.id, revokedAt: null },
+          data: { revokedAt: new Date() }
+        });
+
+        if (count === 0) {
+          return null;
+        }
+
+        return this.issueRefreshToken(stored.userId, stored.familyId, tx);
+      });
+
+      if (!newRefreshToken) {
+        await this.revokeReusedTokenFamily(stored);
+        throw new AppError('Refresh token has been revoked', 401);
+      }
 
       return {
-        token: newToken,
+        token: await this.generateToken(stored.user.id, stored.user.role, stored.familyId),
         refreshToken: newRefreshToken
       };
 
     } catch (error) {
-      throw new AppError('Invalid refresh token', 401);
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Token refresh failed', 500);
     }
   }
 
  
-  static async logout(userId) {
+  static async logout(userId, sessionId) {
     try {
+      if (sessionId) {
+        await this.revokeTokenFamily(sessionId);
+      }
       await this.logAuditEvent(userId, 'USER_LOGOUT', 'User', userId);
-      // Implement token blacklisting if needed
+    } catch (error) {
+      throw new AppError('Logout failed', 500);
+    }
+  }
+
+
+  static async logoutAll(userId) {
+    try {
+      await this.revokeAllUserTokens(userId);
+      await this.logAuditEvent(userId, 'USER_LOGOUT_ALL', 'User', userId);
     } catch (error) {
       throw new AppError('Logout failed', 500);
     }
@@ -236,7 +335,7 @@ export class AuthService {
       }
 
       // Hash new password
-      const hashedNewPassword = await bcrypt.hash(newPassword, 12);
+      const hashedNewPassword = await this.hashPassword(newPassword);
 
       // Update password
       await prisma.user.update({
@@ -244,6 +343,9 @@ export class AuthService {
         data: { password: hashedNewPassword }
       });
 
+      // Sign out every session, including the one that made the change
+      await this.revokeAllUserTokens(userId);
+
       // Log password change
       await this.logAuditEvent(userId, 'PASSWORD_CHANGED', 'User', userId);
 
@@ -300,21 +402,435 @@ export class AuthService {
     }
   }
 
-  static generateToken(userId, role) {
+
+  static async updateProfile(userId, data) {
+    const { address, phone, emailAddress, dateOfBirth } = data;
+
+    if (emailAddress && !validateEmail(emailAddress)) {
+      throw new AppError('Invalid email format', 400);
+    }
+
+    let parsedDateOfBirth;
+    if (dateOfBirth) {
+      parsedDateOfBirth = new Date(dateOfBirth);
+      if (isNaN(parsedDateOfBirth.getTime()) || parsedDateOfBirth > new Date()) {
+        throw new AppError('Invalid date of birth', 400);
+      }
+    }
+
+    try {
+      const profile = await this.getStudentProfileForUser(userId);
+
+      const updateData = {};
+      if (address !== undefined) updateData.address = address;
+      if (phone !== undefined) updateData.phone = phone || null;
+      if (emailAddress !== undefined) updateData.emailAddress = emailAddress || null;
+      if (dateOfBirth !== undefined) updateData.dateOfBirth = parsedDateOfBirth || null;
+
+      if (Object.keys(updateData).length === 0) {
+        throw new AppError('No profile fields to update', 400);
+      }
+
+      await prisma.studentProfile.update({
+        where: { id: profile.id },
+        data: updateData
+      });
+
+      const oldValues = Object.fromEntries(Object.keys(updateData).map(key => [key, profile[key]]));
+      await this.logAuditEvent(userId, 'PROFILE_UPDATED', 'StudentProfile', profile.id, oldValues, updateData);
+
+      return this.getUserProfile(userId);
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Profile update failed', 500);
+    }
+  }
+
+
+  static async getEmergencyContacts(userId) {
+    try {
+      const profile = await this.getStudentProfileForUser(userId);
+
+      return await prisma.emergencyContact.findMany({
+        where: { studentProfileId: profile.id },
+        orderBy: [{ isPrimary: 'desc' }, { id: 'asc' }]
+      });
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to get emergency contacts', 500);
+    }
+  }
+
+
+  static async addEmergencyContact(userId, data) {
+    const contactData = this.validateEmergencyContact(data);
+
+    try {
+      const profile = await this.getStudentProfileForUser(userId);
+
+      const contact = await prisma.$transaction(async (tx) => {
+        const existingCount = await tx.emergencyContact.count({
+          where: { studentProfileId: profile.id }
+        });
+
+        // The first contact is always primary
+        const isPrimary = existingCount === 0 || Boolean(data.isPrimary);
+
+        if (isPrimary) {
+          await tx.emergencyContact.updateMany({
+            where: { studentProfileId: profile.id, isPrimary: true },
+            data: { isPrimary: false }
+          });
+        }
+
+        return tx.emergencyContact.create({
+          data: {
+            studentProfileId: profile.id,
+            ...contactData,
+            isPrimary
+          }
+        });
+      });
+
+      await this.logAuditEvent(userId, 'EMERGENCY_CONTACT_CREATED', 'EmergencyContact', contact.id, null, contact);
+
+      return contact;
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to add emergency contact', 500);
+    }
+  }
+
+
+  static async updateEmergencyContact(userId, contactId, data) {
+    try {
+      const profile = await this.getStudentProfileForUser(userId);
+      const contact = await this.getOwnEmergencyContact(profile.id, contactId);
+
+      const contactData = this.validateEmergencyContact({ ...contact, ...data });
+
+      if (data.isPrimary === false && contact.isPrimary) {
+        throw new AppError('Set another contact as primary instead of unsetting the primary contact', 400);
+      }
+
+      const updatedContact = await prisma.$transaction(async (tx) => {
+        if (data.isPrimary === true && !contact.isPrimary) {
+          await tx.emergencyContact.updateMany({
+            where: { studentProfileId: profile.id, isPrimary: true },
+            data: { isPrimary: false }
+          });
+        }
+
+        return tx.emergencyContact.update({
+          where: { id: contact.id },
+          data: {
+            ...contactData,
+            isPrimary: data.isPrimary === true || contact.isPrimary
+          }
+        });
+      });
+
+      await AuditService.logChanges(
+        { userId, action: 'EMERGENCY_CONTACT_UPDATED', entityType: 'EmergencyContact', entityId: contact.id },
+        contact,
+        updatedContact
+      );
+
+      return updatedContact;
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update emergency contact', 500);
+    }
+  }
+
+
+  static async deleteEmergencyContact(userId, contactId) {
+    try {
+      const profile = await this.getStudentProfileForUser(userId);
+      const contact = await this.getOwnEmergencyContact(profile.id, contactId);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.emergencyContact.delete({
+          where: { id: contact.id }
+        });
+
+        // Hand the primary flag to the oldest remaining contact
+        if (contact.isPrimary) {
+          const nextPrimary = await tx.emergencyContact.findFirst({
+            where: { studentProfileId: profile.id },
+            orderBy: { id: 'asc' }
+          });
+
+          if (nextPrimary) {
+            await tx.emergencyContact.update({
+              where: { id: nextPrimary.id },
+              data: { isPrimary: true }
+            });
+          }
+        }
+      });
+
+      await this.logAuditEvent(userId, 'EMERGENCY_CONTACT_DELETED', 'EmergencyContact', contact.id, contact, null);
+
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to delete emergency contact', 500);
+    }
+  }
+
+
+  static async getStudentProfileForUser(userId) {
+    const profile = await prisma.studentProfile.findUnique({
+      where: { userId }
+    });
+
+    if (!profile) {
+      throw new AppError('Student profile not found', 404);
+    }
+
+    return profile;
+  }
+
+
+  static async getOwnEmergencyContact(studentProfileId, contactId) {
+    const contact = await prisma.emergencyContact.findUnique({
+      where: { id: parseInt(contactId) }
+    });
+
+    if (!contact || contact.studentProfileId !== studentProfileId) {
+      throw new AppError('Emergency contact not found', 404);
+    }
+
+    return contact;
+  }
+
+
+  static validateEmergencyContact(data) {
+    const { name, relationship, contactNo, email } = data;
+
+    if (!name || !relationship || !contactNo) {
+      throw new AppError('Name, relationship and contact number are required', 400);
+    }
+
+    if (email && !validateEmail(email)) {
+      throw new AppError('Invalid email format', 400);
+    }
+
+    return { name, relationship, contactNo, email: email || null };
+  }
+
+  static async checkIpThrottle(ipAddress) {
+    if (!ipAddress) {
+      return;
+    }
+
+    const recentFailures = await prisma.loginAttempt.count({
+      where: {
+        ipAddress,
+        success: false,
+        createdAt: { gte: new Date(Date.now() - this.IP_FAILURE_WINDOW_MS) }
+      }
+    });
+
+    if (recentFailures >= this.MAX_IP_FAILURES) {
+      throw new AppError('Too many failed login attempts from this address. Try again later', 429);
+    }
+  }
+
+
+  static checkAccountLock(user) {
+    const now = Date.now();
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+      const minutes = Math.ceil((user.lockedUntil.getTime() - now) / 60000);
+      throw new AppError(`Account is temporarily locked. Try again in ${minutes} minute(s)`, 423);
+    }
+
+    // Each failure past the threshold doubles the wait before the next attempt
+    if (user.failedLoginAttempts >= this.LOGIN_DELAY_THRESHOLD && user.lastFailedLoginAt) {
+      const delayMs = 1000 * 2 ** (user.failedLoginAttempts - this.LOGIN_DELAY_THRESHOLD);
+      const retryAt = user.lastFailedLoginAt.getTime() + delayMs;
+
+      if (retryAt > now) {
+        const seconds = Math.ceil((retryAt - now) / 1000);
+        throw new AppError(`Too many failed attempts. Try again in ${seconds} second(s)`, 429);
+      }
+    }
+  }
+
+
+  static async registerFailedLogin(user, ipAddress) {
+    // Increment in the database so concurrent guesses cannot all read the same count
+    const { failedLoginAttempts } = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: { increment: 1 },
+        lastFailedLoginAt: new Date()
+      },
+      select: { failedLoginAttempts: true }
+    });
+
+    const shouldLock = failedLoginAttempts >= this.MAX_FAILED_LOGINS;
+    const lockedUntil = shouldLock ? new Date(Date.now() + this.LOCKOUT_DURATION_MS) : null;
+
+    if (shouldLock) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { lockedUntil }
+      });
+    }
+
+    await this.recordLoginAttempt(user.email, ipAddress, false);
+
+    if (shouldLock) {
+      await this.logAuditEvent(user.id, 'ACCOUNT_LOCKED', 'User', user.id, null, {
+        failedLoginAttempts,
+        lockedUntil,
+        ipAddress
+      });
+    }
+  }
+
+
+  static async clearFailedLogins(user, reason) {
+    if (user.failedLoginAttempts === 0 && !user.lockedUntil) {
+      return;
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
+      }
+    });
+
+    if (user.lockedUntil) {
+      await this.logAuditEvent(user.id, 'ACCOUNT_UNLOCKED', 'User', user.id, {
+        lockedUntil: user.lockedUntil
+      }, { reason });
+    }
+  }
+
+
+  static async recordLoginAttempt(email, ipAddress, success) {
+    try {
+      await prisma.loginAttempt.create({
+        data: { email, ipAddress, success }
+      });
+    } catch (error) {
+      // Throttling data is best effort, like audit logging
+      console.error('Login attempt logging failed:', error);
+    }
+  }
+
+
+  static async generateToken(userId, role, sessionId) {
+    const ttl = await SettingService.get('JWT_ACCESS_TOKEN_TTL');
+
     return jwt.sign(
-      { userId, role },
+      { userId, role, sid: sessionId },
       this.JWT_SECRET,
-      { expiresIn: this.JWT_EXPIRES_IN }
+      { expiresIn: Math.floor(ttl / 1000) }
     );
   }
 
 
-  static generateRefreshToken(userId) {
-    return jwt.sign(
-      { userId },
+  static async hashPassword(password) {
+    return bcrypt.hash(password, await SettingService.get('BCRYPT_SALT_ROUNDS'));
+  }
+
+
+  static async createSession(user) {
+    // Each login starts a new token family; its ID doubles as the session ID
+    const familyId = crypto.randomUUID();
+
+    return {
+      token: await this.generateToken(user.id, user.role, familyId),
+      refreshToken: await this.issueRefreshToken(user.id, familyId)
+    };
+  }
+
+
+  static async issueRefreshToken(userId, familyId, client = prisma) {
+    const ttl = await SettingService.get('JWT_REFRESH_TOKEN_TTL');
+    const refreshToken = jwt.sign(
+      { userId, familyId, jti: crypto.randomUUID() },
       this.JWT_REFRESH_SECRET,
-      { expiresIn: this.JWT_REFRESH_EXPIRES_IN }
+      { expiresIn: Math.floor(ttl / 1000) }
     );
+
+    await client.refreshToken.create({
+      data: {
+        userId,
+        tokenHash: this.hashToken(refreshToken),
+        familyId,
+        expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+      }
+    });
+
+    return refreshToken;
+  }
+
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+
+  static async isSessionActive(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const activeTokens = await prisma.refreshToken.count({
+      where: {
+        familyId: sessionId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      }
+    });
+
+    return activeTokens > 0;
+  }
+
+
+  static async revokeTokenFamily(familyId) {
+    await prisma.refreshToken.updateMany({
+      where: { familyId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+  }
+
+
+  static async revokeAllUserTokens(userId) {
+    await prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+  }
+
+
+  static async revokeReusedTokenFamily(stored) {
+    await this.revokeTokenFamily(stored.familyId);
+    await this.logAuditEvent(stored.userId, 'REFRESH_TOKEN_REUSED', 'User', stored.userId, null, {
+      familyId: stored.familyId
+    });
   }
 
 
@@ -344,29 +860,34 @@ export class AuthService {
 
 
   static async logAuditEvent(userId, action, entityType, entityId, oldValues = null, newValues = null) {
-    try {
-      await prisma.auditLog.create({
-        data: {
-          userId,
-          action,
-          entityType,
-          entityId,
-          oldValues: oldValues ? JSON.stringify(oldValues) : null,
-          newValues: newValues ? JSON.stringify(newValues) : null,
-        }
-      });
-    } catch (error) {
-      // Log audit failure but don't throw - shouldn't break main flow
-      console.error('Audit logging failed:', error);
-    }
+    // Request IP and user agent are filled in by AuditService
+    await AuditService.log({ userId, action, entityType, entityId, oldValues, newValues });
   }
 
-  static async requestPasswordReset(email) {
+  static async requestPasswordReset(email, ipAddress = null) {
+    await this.checkIpThrottle(ipAddress);
+
     const user = await prisma.user.findUnique({ where: { email } });
-    if (!user) throw new AppError("User not found", 404);
+    if (!user) {
+      await this.recordLoginAttempt(email, ipAddress, false);
+      throw new AppError("User not found", 404);
+    }
+
+    this.checkAccountLock(user);
+
+    const previous = await prisma.passwordReset.findFirst({
+        where: { userId: user.id },
+        orderBy: { createdAt: "desc" },
+    });
+
+    if (previous && previous.createdAt.getTime() + this.OTP_REISSUE_INTERVAL_MS > Date.now()) {
+      const seconds = Math.ceil((previous.createdAt.getTime() + this.OTP_REISSUE_INTERVAL_MS - Date.now()) / 1000);
+      throw new AppError(`A reset OTP was just sent. Try again in ${seconds} second(s)`, 429);
+    }
 
     // Generate OTP (6 digits)
     const otp = (Math.floor(100000 + Math.random() * 900000)).toString();
+    const otpTtl = await SettingService.get('PASSWORD_RESET_OTP_TTL');
 
     await prisma.passwordReset.deleteMany({
         where: {
@@ -374,41 +895,41 @@ export class AuthService {
         },
     });
 
+    // A new OTP keeps the guesses already made against an unexpired one
     const passwordReset = await prisma.passwordReset.create({
         data: {
             userId: user.id,
             otp,
-            expiresAt: new Date(Date.now() + 15 * 60 * 1000),
+            expiresAt: new Date(Date.now() + otpTtl),
+            attempts: previous && previous.expiresAt > new Date() ? previous.attempts : 0,
         },
     });
 
-    // Send email
-    const transporter = nodemailer.createTransport({//smtp.gmail.com facebookcustmersupprt00@gmail.com
-      host: process.env.SMTP_HOST || "smtp.gmail.com",
-      port: process.env.SMTP_PORT || 465,
-      secure: true,
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
+    await EmailService.queue('PASSWORD_RESET_OTP', user.email, {
+      otp,
+      expiresInMinutes: Math.round(otpTtl / 60000)
     });
 
-    await transporter.sendMail({
-      from: `"Enrollment System" <${process.env.FROM_EMAIL}>`,
-      to: user.email,
-      subject: "Password Reset OTP",
-      text: `Your OTP is ${otp}. It expires in 15 minutes.`,
-    });
+    // The user is waiting for the code, so do not leave it to the outbox worker
+    EmailService.flush();
   }
 
 
-  static async resetPassword(email, otp, newPassword) {
+  static async resetPassword(email, otp, newPassword, ipAddress = null) {
         if (!validatePassword(newPassword)) {
             throw new AppError("Password does not meet requirements", 400);
         }
 
+        await this.checkIpThrottle(ipAddress);
+
         const user = await prisma.user.findUnique({ where: { email } });
-        if (!user) throw new AppError("User not found", 404);
+        if (!user) {
+            await this.recordLoginAttempt(email, ipAddress, false);
+            throw new AppError("User not found", 404);
+        }
+
+        // Wrong OTPs count as failed logins, so guesses share the account's delays and lockout
+        this.checkAccountLock(user);
 
         // Get the latest OTP
         const reset = await prisma.passwordReset.findFirst({
@@ -416,12 +937,33 @@ export class AuthService {
             orderBy: { createdAt: "desc" }, // latest first
         });
 
-        if (!reset || reset.otp !== otp || reset.expiresAt < new Date()) {
+        if (!reset || reset.expiresAt < new Date()) {
+            await this.recordLoginAttempt(email, ipAddress, false);
+            throw new AppError("Invalid or expired OTP", 400);
+        }
+
+        // Claim a guess before comparing, so parallel guesses cannot all slip under the cap
+        const claimed = await prisma.passwordReset.updateMany({
+            where: { id: reset.id, attempts: { lt: this.MAX_OTP_ATTEMPTS } },
+            data: { attempts: { increment: 1 } },
+        });
+
+        if (claimed.count === 0) {
+            await this.burnPasswordReset(user, reset);
+        }
+
+        if (reset.otp !== otp) {
+            await this.registerFailedLogin(user, ipAddress);
+
+            if (reset.attempts + 1 >= this.MAX_OTP_ATTEMPTS) {
+                await this.burnPasswordReset(user, reset);
+            }
+
             throw new AppError("Invalid or expired OTP", 400);
         }
 
         // Hash new password
-        const hashedPassword = await bcrypt.hash(newPassword, 12);
+        const hashedPassword = await this.hashPassword(newPassword);
         await prisma.user.update({
             where: { id: user.id },
             data: { password: hashedPassword },
@@ -430,7 +972,24 @@ export class AuthService {
         // Delete all OTPs for this user
         await prisma.passwordReset.deleteMany({ where: { userId: user.id } });
 
+        await this.revokeAllUserTokens(user.id);
+        await this.clearFailedLogins(user, 'password_reset');
+
         await this.logAuditEvent(user.id, "PASSWORD_RESET", "User", user.id);
     }
 
+
+  // Delete an OTP that has had too many guesses against it
+  static async burnPasswordReset(user, reset) {
+    const burned = await prisma.passwordReset.deleteMany({ where: { id: reset.id } });
+
+    if (burned.count > 0) {
+      await this.logAuditEvent(user.id, "PASSWORD_RESET_OTP_BURNED", "User", user.id, null, {
+        attempts: this.MAX_OTP_ATTEMPTS
+      });
+    }
+
+    throw new AppError("Too many incorrect OTP attempts. Request a new OTP", 429);
+  }
+
 }
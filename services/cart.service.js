@@ -0,0 +1,386 @@
+// services/cart.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import SemesterService from './semester.service.js';
+import EnrollmentService from './enrollment.service.js';
+import CreditLoadService from './creditLoad.service.js';
+import RealtimeService from './realtime.service.js';
+
+const prisma = new PrismaClient();
+
+const cartInclude = {
+  items: {
+    orderBy: { addedAt: 'asc' },
+    include: {
+      schedule: {
+        include: {
+          unit: true,
+          timeSlot: true,
+          day: true,
+          room: true
+        }
+      }
+    }
+  }
+};
+
+// Thrown inside the cart transaction to roll it back after a failed item
+class CartRollback extends Error {}
+
+export default class CartService {
+  /**
+   * Get a student's cart for a semester, with what would happen to each item on submit
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name
+   * @returns {Promise<Object>} Cart items, per-item outcomes and credit summary
+   */
+  static async getCart(studentProfileId, semesterName) {
+    try {
+      const semester = await SemesterService.getSemesterByName(semesterName);
+      const cart = await this.findCart(studentProfileId, semester.id);
+
+      return this.describeCart(studentProfileId, semester, cart);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch cart', 500);
+    }
+  }
+
+  /**
+   * Add a schedule to a student's cart
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Updated cart
+   */
+  static async addItem(studentProfileId, semesterName, scheduleId) {
+    try {
+      const semester = await SemesterService.getSemesterByName(semesterName);
+
+      if (new Date() > semester.enrollmentEnd) {
+        throw new AppError(`Enrollment for semester ${semester.name} has closed`, 400);
+      }
+
+      const schedule = await prisma.schedule.findUnique({
+        where: { id: parseInt(scheduleId) },
+        include: { unit: true }
+      });
+
+      if (!schedule || !schedule.isActive || !schedule.unit.isActive) {
+        throw new AppError('Schedule not found or inactive', 404);
+      }
+
+      if (schedule.semester !== semester.name) {
+        throw new AppError(`Schedule belongs to semester ${schedule.semester}, not ${semester.name}`, 400);
+      }
+
+      const cart = await prisma.enrollmentCart.upsert({
+        where: {
+          studentProfileId_semesterId: { studentProfileId, semesterId: semester.id }
+        },
+        create: { studentProfileId, semesterId: semester.id },
+        update: {}
+      });
+
+      const existing = await prisma.enrollmentCartItem.findUnique({
+        where: {
+          cartId_scheduleId: { cartId: cart.id, scheduleId: schedule.id }
+        }
+      });
+
+      if (existing) {
+        throw new AppError('This schedule is already in your cart', 409);
+      }
+
+      await prisma.enrollmentCartItem.create({
+        data: { cartId: cart.id, scheduleId: schedule.id }
+      });
+
+      return this.describeCart(studentProfileId, semester, await this.findCart(studentProfileId, semester.id));
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to add schedule to cart', 500);
+    }
+  }
+
+  /**
+   * Remove a schedule from a student's cart
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Updated cart
+   */
+  static async removeItem(studentProfileId, semesterName, scheduleId) {
+    try {
+      const semester = await SemesterService.getSemesterByName(semesterName);
+      const cart = await this.findCart(studentProfileId, semester.id);
+
+      const item = cart?.items.find(candidate => candidate.scheduleId === parseInt(scheduleId));
+
+      if (!item) {
+        throw new AppError('Schedule is not in your cart', 404);
+      }
+
+      await prisma.enrollmentCartItem.delete({ where: { id: item.id } });
+
+      return this.describeCart(studentProfileId, semester, await this.findCart(studentProfileId, semester.id));
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to remove schedule from cart', 500);
+    }
+  }
+
+  /**
+   * Empty a student's cart
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name
+   * @returns {Promise<Object>} Number of items removed
+   */
+  static async clearCart(studentProfileId, semesterName) {
+    try {
+      const semester = await SemesterService.getSemesterByName(semesterName);
+
+      const result = await prisma.enrollmentCartItem.deleteMany({
+        where: { cart: { studentProfileId, semesterId: semester.id } }
+      });
+
+      return { removed: result.count };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to clear cart', 500);
+    }
+  }
+
+  /**
+   * Request every schedule in the cart at once. Either all requests are created or none are.
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name
+   * @returns {Promise<Object>} Created enrollments and per-item outcomes
+   */
+  static async submitCart(studentProfileId, semesterName) {
+    try {
+      const semester = await SemesterService.assertEnrollmentOpen(semesterName);
+      const cart = await this.findCart(studentProfileId, semester.id);
+
+      if (!cart || cart.items.length === 0) {
+        throw new AppError('Your cart is empty', 400);
+      }
+
+      const scheduleIds = cart.items.map(item => item.scheduleId).sort((a, b) => a - b);
+      let placement;
+
+      try {
+        await prisma.$transaction(async (tx) => {
+          const seats = await EnrollmentService.lockAllSeats(tx, scheduleIds);
+
+          // Claiming the items also stops a second submit of the same cart
+          const claimed = await tx.enrollmentCartItem.deleteMany({
+            where: { cartId: cart.id, scheduleId: { in: scheduleIds } }
+          });
+
+          if (claimed.count !== scheduleIds.length) {
+            throw new AppError('Your cart changed while it was being submitted; review it and try again', 409);
+          }
+
+          placement = await this.placeRequests(tx, studentProfileId, cart.items, seats);
+
+          if (placement.failed) {
+            throw new CartRollback();
+          }
+
+          for (const enrollment of placement.enrollments) {
+            await EnrollmentService.announceRequest(tx, enrollment);
+          }
+        }, { timeout: 30000 });
+      } catch (error) {
+        if (!(error instanceof CartRollback)) {
+          throw error;
+        }
+
+        throw new AppError('Cart could not be submitted; no enrollments were created', 422, {
+          items: placement.outcomes
+        });
+      }
+
+      for (const enrollment of placement.enrollments) {
+        await EnrollmentService.logRequest(enrollment);
+      }
+
+      RealtimeService.publishEnrollments(placement.enrollments);
+      RealtimeService.publishSeats(scheduleIds);
+
+      return {
+        enrollments: placement.enrollments,
+        items: placement.outcomes
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to submit cart', 500);
+    }
+  }
+
+  /**
+   * Find a student's cart for a semester with its schedules
+   * @param {number} studentProfileId - Student profile ID
+   * @param {number} semesterId - Semester ID
+   * @returns {Promise<Object|null>} Cart
+   */
+  static async findCart(studentProfileId, semesterId) {
+    return prisma.enrollmentCart.findUnique({
+      where: {
+        studentProfileId_semesterId: { studentProfileId, semesterId }
+      },
+      include: cartInclude
+    });
+  }
+
+  /**
+   * Create a request for every cart item through the same checks as a single request.
+   * Items that fail are retried while others keep getting through, so a co-requisite
+   * further down the cart can still satisfy one above it.
+   * A preview runs the checks only, counting the items accepted so far in memory.
+   * @param {Object} tx - Prisma transaction client, or the plain client for a preview
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Array} items - Cart items with their schedules
+   * @param {Map} seats - Seat counts by schedule ID
+   * @param {boolean} preview - Check without creating anything
+   * @returns {Promise<Object>} Created enrollments, per-item outcomes and whether any item failed
+   */
+  static async placeRequests(tx, studentProfileId, items, seats, preview = false) {
+    const outcomes = new Map();
+    const accepted = [];
+
+    let remaining = items.filter(item => {
+      if (!item.schedule.isActive || !item.schedule.unit.isActive) {
+        outcomes.set(item.scheduleId, { error: 'This class is no longer offered' });
+        return false;
+      }
+      return true;
+    });
+
+    let progress = true;
+
+    while (remaining.length > 0 && progress) {
+      progress = false;
+      const failed = [];
+
+      for (const item of remaining) {
+        try {
+          let requested;
+
+          if (preview) {
+            const { data } = await EnrollmentService.checkRequest(
+              tx,
+              studentProfileId,
+              item.schedule,
+              seats.get(item.scheduleId),
+              accepted
+            );
+
+            requested = { schedule: item.schedule, ...data };
+          } else {
+            requested = await EnrollmentService.createRequest(
+              tx,
+              studentProfileId,
+              item.schedule,
+              seats.get(item.scheduleId)
+            );
+          }
+
+          accepted.push(requested);
+          outcomes.set(item.scheduleId, {
+            status: requested.status,
+            waitlistPosition: requested.waitlistPosition
+          });
+          progress = true;
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+
+          outcomes.set(item.scheduleId, {
+            error: error.message,
+            ...(error.details && { details: error.details })
+          });
+          failed.push(item);
+        }
+      }
+
+      remaining = failed;
+    }
+
+    return {
+      enrollments: preview ? [] : accepted,
+      failed: accepted.length < items.length,
+      outcomes: items.map(item => ({
+        scheduleId: item.scheduleId,
+        unitCode: item.schedule.unit.unitCode,
+        ...outcomes.get(item.scheduleId)
+      }))
+    };
+  }
+
+  /**
+   * Describe a cart: a read-only trial submit gives each item's outcome
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} semester - Semester
+   * @param {Object|null} cart - Cart with its items
+   * @returns {Promise<Object>} Cart view
+   */
+  static async describeCart(studentProfileId, semester, cart) {
+    const items = cart?.items || [];
+    const now = new Date();
+    const enrollmentOpen = now >= semester.enrollmentStart && now <= semester.enrollmentEnd;
+
+    const seats = new Map();
+    let placement = { outcomes: [], failed: false };
+
+    if (items.length > 0) {
+      for (const item of items) {
+        seats.set(item.scheduleId, await EnrollmentService.countSeats(prisma, item.scheduleId));
+      }
+
+      placement = await this.placeRequests(prisma, studentProfileId, items, seats, true);
+    }
+
+    const studentProfile = await prisma.studentProfile.findUnique({ where: { id: studentProfileId } });
+
+    const [limits, overload, currentCredits] = await Promise.all([
+      CreditLoadService.resolveLimits(studentProfile),
+      CreditLoadService.getOverload(studentProfileId, semester.id),
+      CreditLoadService.getLoadedCredits(prisma, studentProfileId, semester)
+    ]);
+
+    const cartCredits = items.reduce((total, item) => total + item.schedule.unit.credits, 0);
+
+    return {
+      semester: semester.name,
+      enrollmentOpen,
+      items: items.map((item, index) => ({
+        scheduleId: item.scheduleId,
+        addedAt: item.addedAt,
+        schedule: item.schedule,
+        seats: seats.get(item.scheduleId),
+        outcome: placement.outcomes[index]
+      })),
+      credits: {
+        current: currentCredits,
+        cart: cartCredits,
+        total: currentCredits + cartCredits,
+        max: overload ? overload.maxCredits : limits.maxCredits
+      },
+      canSubmit: enrollmentOpen && items.length > 0 && !placement.failed
+    };
+  }
+}
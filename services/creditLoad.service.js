@@ -0,0 +1,480 @@
+// services/creditLoad.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import SemesterService from './semester.service.js';
+import AuditService from './audit.service.js';
+import SettingService from './setting.service.js';
+
+const prisma = new PrismaClient();
+
+// Waitlisted seats count too, otherwise a student could queue for any number of units
+const LOAD_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED'];
+
+export default class CreditLoadService {
+  /**
+   * Get the default credit load limits from system settings
+   * @returns {Promise<Object>} minCredits and maxCredits
+   */
+  static async getDefaultLimits() {
+    const settings = await SettingService.getMany(['MIN_CREDITS_PER_SEMESTER', 'MAX_CREDITS_PER_SEMESTER']);
+
+    return {
+      minCredits: settings.MIN_CREDITS_PER_SEMESTER,
+      maxCredits: settings.MAX_CREDITS_PER_SEMESTER
+    };
+  }
+
+  /**
+   * Update the default credit load limits
+   * @param {Object} data - minCredits and/or maxCredits
+   * @returns {Promise<Object>} Updated defaults
+   */
+  static async updateDefaultLimits(data) {
+    await SettingService.updateSettings({
+      ...(data.minCredits !== undefined && { MIN_CREDITS_PER_SEMESTER: data.minCredits }),
+      ...(data.maxCredits !== undefined && { MAX_CREDITS_PER_SEMESTER: data.maxCredits })
+    });
+
+    return this.getDefaultLimits();
+  }
+
+  /**
+   * Get all program/year level credit load rules
+   * @returns {Promise<Array>} Rules
+   */
+  static async getRules() {
+    try {
+      return await prisma.creditLoadRule.findMany({
+        orderBy: [
+          { program: 'asc' },
+          { yearLevel: 'asc' }
+        ]
+      });
+    } catch (error) {
+      throw new AppError('Failed to fetch credit load rules', 500);
+    }
+  }
+
+  /**
+   * Create a credit load rule
+   * @param {Object} data - program, yearLevel, minCredits, maxCredits
+   * @returns {Promise<Object>} Created rule
+   */
+  static async createRule(data) {
+    try {
+      const program = data.program || null;
+      const yearLevel = data.yearLevel !== undefined && data.yearLevel !== null ? parseInt(data.yearLevel) : null;
+
+      if (program === null && yearLevel === null) {
+        throw new AppError('A rule must target a program, a year level, or both', 400);
+      }
+
+      if (yearLevel !== null && (isNaN(yearLevel) || yearLevel <= 0)) {
+        throw new AppError('Year level must be a positive number', 400);
+      }
+
+      const limits = this.validateLimits(data);
+
+      // MySQL allows repeated NULLs in a unique index, so check explicitly
+      const existingRule = await prisma.creditLoadRule.findFirst({
+        where: { program, yearLevel }
+      });
+
+      if (existingRule) {
+        throw new AppError('A rule already exists for this program and year level', 409);
+      }
+
+      const rule = await prisma.creditLoadRule.create({
+        data: { program, yearLevel, ...limits }
+      });
+
+      await AuditService.log({
+        action: 'CREDIT_LOAD_RULE_CREATED',
+        entityType: 'CreditLoadRule',
+        entityId: rule.id,
+        newValues: rule
+      });
+
+      return rule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create credit load rule', 500);
+    }
+  }
+
+  /**
+   * Update the limits of a credit load rule
+   * @param {number} id - Rule ID
+   * @param {Object} data - minCredits and/or maxCredits
+   * @returns {Promise<Object>} Updated rule
+   */
+  static async updateRule(id, data) {
+    try {
+      const rule = await prisma.creditLoadRule.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!rule) {
+        throw new AppError('Credit load rule not found', 404);
+      }
+
+      const limits = this.validateLimits({
+        minCredits: data.minCredits !== undefined ? data.minCredits : rule.minCredits,
+        maxCredits: data.maxCredits !== undefined ? data.maxCredits : rule.maxCredits
+      });
+
+      const updatedRule = await prisma.creditLoadRule.update({
+        where: { id: rule.id },
+        data: limits
+      });
+
+      await AuditService.logChanges(
+        { action: 'CREDIT_LOAD_RULE_UPDATED', entityType: 'CreditLoadRule', entityId: rule.id },
+        rule,
+        updatedRule
+      );
+
+      return updatedRule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update credit load rule', 500);
+    }
+  }
+
+  /**
+   * Delete a credit load rule
+   * @param {number} id - Rule ID
+   * @returns {Promise<void>}
+   */
+  static async deleteRule(id) {
+    try {
+      const rule = await prisma.creditLoadRule.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!rule) {
+        throw new AppError('Credit load rule not found', 404);
+      }
+
+      await prisma.creditLoadRule.delete({
+        where: { id: rule.id }
+      });
+
+      await AuditService.log({
+        action: 'CREDIT_LOAD_RULE_DELETED',
+        entityType: 'CreditLoadRule',
+        entityId: rule.id,
+        oldValues: rule
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to delete credit load rule', 500);
+    }
+  }
+
+  /**
+   * Resolve the standard credit limits for a student, ignoring overloads.
+   * The most specific rule wins per field: program and year level, then program, then year level, then defaults.
+   * @param {Object} studentProfile - Student profile with program and yearLevel
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} minCredits and maxCredits
+   */
+  static async resolveLimits(studentProfile, client = prisma) {
+    const [defaults, rules] = await Promise.all([
+      this.getDefaultLimits(),
+      client.creditLoadRule.findMany({
+        where: {
+          AND: [
+            { OR: [{ program: studentProfile.program }, { program: null }] },
+            { OR: [{ yearLevel: studentProfile.yearLevel }, { yearLevel: null }] }
+          ]
+        }
+      })
+    ]);
+
+    const specificity = rule => (rule.program !== null ? 2 : 0) + (rule.yearLevel !== null ? 1 : 0);
+    const ordered = [...rules].sort((a, b) => specificity(b) - specificity(a));
+
+    const pick = field => {
+      const rule = ordered.find(candidate => candidate[field] !== null);
+      return rule ? rule[field] : defaults[field];
+    };
+
+    return {
+      minCredits: pick('minCredits'),
+      maxCredits: pick('maxCredits')
+    };
+  }
+
+  /**
+   * Get a student's credit load for a semester
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name; defaults to the current semester
+   * @returns {Promise<Object>} Credit load summary
+   */
+  static async getCreditLoad(studentProfileId, semesterName) {
+    try {
+      const semester = semesterName
+        ? await SemesterService.getSemesterByName(semesterName)
+        : await SemesterService.getCurrentSemester();
+
+      const studentProfile = await prisma.studentProfile.findUnique({
+        where: { id: parseInt(studentProfileId) }
+      });
+
+      if (!studentProfile) {
+        throw new AppError('Student profile not found', 404);
+      }
+
+      const [limits, overload, totalCredits] = await Promise.all([
+        this.resolveLimits(studentProfile),
+        this.getOverload(studentProfile.id, semester.id),
+        this.getLoadedCredits(prisma, studentProfile.id, semester)
+      ]);
+
+      const maxCredits = overload ? overload.maxCredits : limits.maxCredits;
+
+      return {
+        semester: semester.name,
+        totalCredits,
+        minCredits: limits.minCredits,
+        maxCredits,
+        remainingCredits: Math.max(maxCredits - totalCredits, 0),
+        belowMinimum: totalCredits < limits.minCredits,
+        overload
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch credit load', 500);
+    }
+  }
+
+  /**
+   * Reject a request that would take a student over their maximum load
+   * @param {Object} tx - Prisma client or transaction client
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} schedule - Requested schedule with its unit
+   * @param {number} unsavedCredits - Credits of requests accepted in the same batch but not saved yet
+   * @returns {Promise<void>}
+   */
+  static async assertWithinMaximum(tx, studentProfileId, schedule, unsavedCredits = 0) {
+    const [studentProfile, semester] = await Promise.all([
+      tx.studentProfile.findUnique({ where: { id: studentProfileId } }),
+      SemesterService.getSemesterByName(schedule.semester, tx)
+    ]);
+
+    const [limits, overload, loadedCredits] = await Promise.all([
+      this.resolveLimits(studentProfile, tx),
+      this.getOverload(studentProfileId, semester.id, tx),
+      this.getLoadedCredits(tx, studentProfileId, semester, schedule.id)
+    ]);
+
+    const currentCredits = loadedCredits + unsavedCredits;
+    const maxCredits = overload ? overload.maxCredits : limits.maxCredits;
+    const requestedCredits = schedule.unit.credits;
+
+    if (currentCredits + requestedCredits > maxCredits) {
+      throw new AppError(
+        `Enrolling in ${schedule.unit.unitCode} would bring your load to ${currentCredits + requestedCredits} credits, above the maximum of ${maxCredits} for ${semester.name}`,
+        400,
+        { currentCredits, requestedCredits, maxCredits }
+      );
+    }
+  }
+
+  /**
+   * Get credit overload exceptions
+   * @param {Object} filters - studentProfileId, semesterId
+   * @returns {Promise<Array>} Overloads
+   */
+  static async getOverloads(filters = {}) {
+    try {
+      return await prisma.creditOverload.findMany({
+        where: {
+          ...(filters.studentProfileId && { studentProfileId: parseInt(filters.studentProfileId) }),
+          ...(filters.semesterId && { semesterId: parseInt(filters.semesterId) })
+        },
+        include: {
+          studentProfile: {
+            select: {
+              id: true,
+              studentId: true,
+              firstName: true,
+              lastName: true,
+              program: true,
+              yearLevel: true
+            }
+          },
+          semester: {
+            select: { id: true, name: true }
+          },
+          grantedBy: {
+            select: { id: true, email: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+    } catch (error) {
+      throw new AppError('Failed to fetch credit overloads', 500);
+    }
+  }
+
+  /**
+   * Grant a student an overload exception for a semester
+   * @param {Object} data - studentProfileId, semesterId, maxCredits, reason
+   * @param {number} adminId - ID of the granting admin
+   * @returns {Promise<Object>} Overload
+   */
+  static async grantOverload(data, adminId) {
+    try {
+      const studentProfileId = parseInt(data.studentProfileId);
+      const semesterId = parseInt(data.semesterId);
+      const maxCredits = parseInt(data.maxCredits);
+
+      const [studentProfile, semester] = await Promise.all([
+        prisma.studentProfile.findUnique({ where: { id: studentProfileId } }),
+        prisma.semester.findUnique({ where: { id: semesterId } })
+      ]);
+
+      if (!studentProfile) {
+        throw new AppError('Student profile not found', 404);
+      }
+
+      if (!semester) {
+        throw new AppError('Semester not found', 404);
+      }
+
+      const limits = await this.resolveLimits(studentProfile);
+
+      if (isNaN(maxCredits) || maxCredits <= limits.maxCredits) {
+        throw new AppError(`Overload maximum must be above the standard maximum of ${limits.maxCredits} credits`, 400);
+      }
+
+      const existing = await this.getOverload(studentProfileId, semesterId);
+
+      // Re-granting replaces the previous exception for the semester
+      const overload = await prisma.creditOverload.upsert({
+        where: {
+          studentProfileId_semesterId: { studentProfileId, semesterId }
+        },
+        update: {
+          maxCredits,
+          reason: data.reason,
+          grantedById: adminId
+        },
+        create: {
+          studentProfileId,
+          semesterId,
+          maxCredits,
+          reason: data.reason,
+          grantedById: adminId
+        }
+      });
+
+      await AuditService.log({
+        userId: adminId,
+        action: 'CREDIT_OVERLOAD_GRANTED',
+        entityType: 'CreditOverload',
+        entityId: overload.id,
+        oldValues: existing,
+        newValues: overload
+      });
+
+      return overload;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to grant credit overload', 500);
+    }
+  }
+
+  /**
+   * Revoke an overload exception
+   * @param {number} id - Overload ID
+   * @param {number} adminId - ID of the revoking admin
+   * @returns {Promise<void>}
+   */
+  static async revokeOverload(id, adminId) {
+    try {
+      const overload = await prisma.creditOverload.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!overload) {
+        throw new AppError('Credit overload not found', 404);
+      }
+
+      await prisma.creditOverload.delete({
+        where: { id: overload.id }
+      });
+
+      await AuditService.log({
+        userId: adminId,
+        action: 'CREDIT_OVERLOAD_REVOKED',
+        entityType: 'CreditOverload',
+        entityId: overload.id,
+        oldValues: overload
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to revoke credit overload', 500);
+    }
+  }
+
+  static async getOverload(studentProfileId, semesterId, client = prisma) {
+    return client.creditOverload.findUnique({
+      where: {
+        studentProfileId_semesterId: { studentProfileId, semesterId }
+      }
+    });
+  }
+
+  static async getLoadedCredits(client, studentProfileId, semester, excludeScheduleId = null) {
+    const enrollments = await client.enrollment.findMany({
+      where: {
+        studentProfileId,
+        status: { in: LOAD_STATUSES },
+        ...(excludeScheduleId && { scheduleId: { not: excludeScheduleId } }),
+        schedule: {
+          semester: semester.name,
+          academicYear: semester.academicYear
+        }
+      },
+      include: {
+        schedule: {
+          select: { unit: { select: { credits: true } } }
+        }
+      }
+    });
+
+    return enrollments.reduce((total, enrollment) => total + enrollment.schedule.unit.credits, 0);
+  }
+
+  static validateLimits(data) {
+    const parse = value => (value === undefined || value === null || value === '' ? null : parseInt(value));
+    const minCredits = parse(data.minCredits);
+    const maxCredits = parse(data.maxCredits);
+
+    if ([minCredits, maxCredits].some(value => value !== null && (isNaN(value) || value < 0))) {
+      throw new AppError('Credit limits must be non-negative numbers', 400);
+    }
+
+    if (minCredits !== null && maxCredits !== null && minCredits > maxCredits) {
+      throw new AppError('Minimum credits cannot exceed maximum credits', 400);
+    }
+
+    return { minCredits, maxCredits };
+  }
+}
@@ -0,0 +1,429 @@
+// services/email.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import SettingService from './setting.service.js';
+import AuditService from './audit.service.js';
+import { renderEmail } from '../utils/emailTemplates.js';
+import { getMailTransport } from '../utils/mailTransport.js';
+import { formatTimeOfDay } from '../utils/time.js';
+
+const prisma = new PrismaClient();
+
+const EMAIL_STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED'];
+
+const OUTBOX_BATCH_SIZE = 20;
+
+const enrollmentEmailInclude = {
+  studentProfile: {
+    include: { user: { select: { email: true } } }
+  },
+  schedule: {
+    include: {
+      unit: true,
+      timeSlot: true,
+      day: true
+    }
+  }
+};
+
+// Only one delivery pass runs at a time in this process
+let processing = false;
+let worker = null;
+
+export default class EmailService {
+  /**
+   * Render a template and add it to the outbox
+   * @param {string} template - Template key
+   * @param {string} to - Recipient address
+   * @param {Object} data - Template values
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Outbox entry
+   */
+  static async queue(template, to, data, client = prisma) {
+    const { subject, text, html } = renderEmail(template, data);
+
+    return client.emailOutbox.create({
+      data: {
+        template,
+        toAddress: to,
+        subject,
+        text,
+        html
+      }
+    });
+  }
+
+  /**
+   * Email a student about a change to one of their enrollments
+   * @param {Object} client - Prisma client or transaction client
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {string} template - ENROLLMENT_APPROVED, ENROLLMENT_REJECTED, ENROLLMENT_WAITLISTED or ENROLLMENT_PROMOTED
+   * @returns {Promise<Object>} Outbox entry
+   */
+  static async queueEnrollmentEmail(client, enrollmentId, template) {
+    const enrollment = await client.enrollment.findUnique({
+      where: { id: enrollmentId },
+      include: enrollmentEmailInclude
+    });
+
+    const { studentProfile, schedule } = enrollment;
+
+    return this.queue(template, this.getStudentAddress(studentProfile), {
+      firstName: studentProfile.firstName,
+      unitCode: schedule.unit.unitCode,
+      unitTitle: schedule.unit.title,
+      classTime: this.describeClass(schedule),
+      waitlistPosition: enrollment.waitlistPosition,
+      rejectionReason: enrollment.rejectionReason
+    }, client);
+  }
+
+  /**
+   * Email every student holding a seat or waitlist spot about a schedule change
+   * @param {Object} client - Prisma client or transaction client
+   * @param {Object} before - Schedule before the change, with timeSlot, day and room
+   * @param {Object} after - Schedule after the change, with unit, timeSlot, day and room
+   * @returns {Promise<number>} Emails queued
+   */
+  static async queueScheduleChangedEmails(client, before, after) {
+    const changes = this.describeScheduleChanges(before, after);
+
+    if (changes.length === 0) {
+      return 0;
+    }
+
+    const enrollments = await client.enrollment.findMany({
+      where: {
+        scheduleId: after.id,
+        status: { in: ['PENDING', 'APPROVED', 'WAITLISTED'] }
+      },
+      include: {
+        studentProfile: {
+          include: { user: { select: { email: true } } }
+        }
+      }
+    });
+
+    for (const enrollment of enrollments) {
+      await this.queue('SCHEDULE_CHANGED', this.getStudentAddress(enrollment.studentProfile), {
+        firstName: enrollment.studentProfile.firstName,
+        unitCode: after.unit.unitCode,
+        unitTitle: after.unit.title,
+        changes,
+        classTime: this.describeClass(after)
+      }, client);
+    }
+
+    return enrollments.length;
+  }
+
+  /**
+   * Email active students once when a semester's enrollment window opens
+   * @returns {Promise<number>} Emails queued
+   */
+  static async queueEnrollmentWindowEmails() {
+    const now = new Date();
+
+    const semesters = await prisma.semester.findMany({
+      where: {
+        // Drafts and hidden semesters are not announced
+        isActive: true,
+        enrollmentOpenNotifiedAt: null,
+        enrollmentStart: { lte: now },
+        enrollmentEnd: { gt: now }
+      }
+    });
+
+    let queued = 0;
+
+    for (const semester of semesters) {
+      queued += await prisma.$transaction(async (tx) => {
+        // Claim the semester so a second worker does not email everyone again
+        const claimed = await tx.semester.updateMany({
+          where: { id: semester.id, isActive: true, enrollmentOpenNotifiedAt: null },
+          data: { enrollmentOpenNotifiedAt: now }
+        });
+
+        if (claimed.count === 0) {
+          return 0;
+        }
+
+        const students = await tx.studentProfile.findMany({
+          where: { user: { isActive: true } },
+          include: { user: { select: { email: true } } }
+        });
+
+        await tx.emailOutbox.createMany({
+          data: students.map(student => {
+            const { subject, text, html } = renderEmail('ENROLLMENT_WINDOW_OPEN', {
+              firstName: student.firstName,
+              semester: semester.name,
+              enrollmentEnd: semester.enrollmentEnd.toISOString().slice(0, 10)
+            });
+
+            return {
+              template: 'ENROLLMENT_WINDOW_OPEN',
+              toAddress: this.getStudentAddress(student),
+              subject,
+              text,
+              html
+            };
+          })
+        });
+
+        return students.length;
+      }, { timeout: 60000 });
+    }
+
+    return queued;
+  }
+
+  /**
+   * Deliver due outbox emails, rescheduling failures with exponential backoff
+   * @param {number} batchSize - Maximum emails to send in this pass
+   * @returns {Promise<Object>} Counts of sent and failed emails
+   */
+  static async processOutbox(batchSize = OUTBOX_BATCH_SIZE) {
+    if (processing) {
+      return { sent: 0, failed: 0 };
+    }
+
+    processing = true;
+    const result = { sent: 0, failed: 0 };
+
+    try {
+      const { EMAIL_MAX_ATTEMPTS: maxAttempts, EMAIL_RETRY_DELAY: retryDelay } =
+        await SettingService.getMany(['EMAIL_MAX_ATTEMPTS', 'EMAIL_RETRY_DELAY']);
+
+      const due = await prisma.emailOutbox.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: batchSize
+      });
+
+      const transport = getMailTransport();
+
+      for (const email of due) {
+        const claimed = await prisma.emailOutbox.updateMany({
+          where: { id: email.id, status: 'PENDING' },
+          data: { status: 'SENDING', attempts: { increment: 1 } }
+        });
+
+        if (claimed.count === 0) {
+          continue;
+        }
+
+        const attempts = email.attempts + 1;
+
+        try {
+          await transport.send({
+            from: `"Enrollment System" <${process.env.FROM_EMAIL}>`,
+            to: email.toAddress,
+            subject: email.subject,
+            text: email.text,
+            html: email.html
+          });
+
+          await prisma.emailOutbox.update({
+            where: { id: email.id },
+            data: { status: 'SENT', sentAt: new Date(), lastError: null }
+          });
+
+          result.sent++;
+        } catch (error) {
+          const giveUp = attempts >= maxAttempts;
+
+          await prisma.emailOutbox.update({
+            where: { id: email.id },
+            data: {
+              status: giveUp ? 'FAILED' : 'PENDING',
+              lastError: error.message,
+              nextAttemptAt: new Date(Date.now() + retryDelay * 2 ** (attempts - 1))
+            }
+          });
+
+          result.failed++;
+        }
+      }
+
+      return result;
+    } finally {
+      processing = false;
+    }
+  }
+
+  /**
+   * Start the background worker that sends outbox emails
+   * @param {number} intervalMs - Poll interval
+   * @returns {Promise<void>}
+   */
+  static async startWorker(intervalMs = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30000) {
+    if (worker) {
+      return;
+    }
+
+    // Emails left mid-send by a crash are retried; at worst a recipient gets a duplicate
+    await prisma.emailOutbox.updateMany({
+      where: { status: 'SENDING' },
+      data: { status: 'PENDING' }
+    });
+
+    const tick = async () => {
+      try {
+        await this.queueEnrollmentWindowEmails();
+        await this.processOutbox();
+      } catch (error) {
+        console.error('Email outbox error:', error);
+      }
+    };
+
+    worker = setInterval(tick, intervalMs);
+    await tick();
+  }
+
+  /**
+   * Send due emails now instead of waiting for the worker, without blocking the caller
+   */
+  static flush() {
+    this.processOutbox().catch(error => console.error('Email outbox error:', error));
+  }
+
+  /**
+   * Get outbox emails
+   * @param {Object} filters - status, template, to
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} Emails with pagination
+   */
+  static async getOutbox(filters = {}, page = 1, limit = 20) {
+    try {
+      if (filters.status && !EMAIL_STATUSES.includes(filters.status)) {
+        throw new AppError(`Status must be one of: ${EMAIL_STATUSES.join(', ')}`, 400);
+      }
+
+      const where = {
+        ...(filters.status && { status: filters.status }),
+        ...(filters.template && { template: filters.template }),
+        ...(filters.to && { toAddress: { contains: filters.to } })
+      };
+
+      const skip = (page - 1) * limit;
+
+      const [emails, totalCount] = await Promise.all([
+        prisma.emailOutbox.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { createdAt: 'desc' },
+          select: {
+            id: true,
+            template: true,
+            toAddress: true,
+            subject: true,
+            status: true,
+            attempts: true,
+            lastError: true,
+            nextAttemptAt: true,
+            sentAt: true,
+            createdAt: true
+          }
+        }),
+        prisma.emailOutbox.count({ where })
+      ]);
+
+      return {
+        emails,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalItems: totalCount,
+          hasNext: page < Math.ceil(totalCount / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch emails', 500);
+    }
+  }
+
+  /**
+   * Queue a failed email for another round of attempts
+   * @param {number} id - Outbox entry ID
+   * @param {number} adminId - Admin requesting the retry
+   * @returns {Promise<Object>} Updated outbox entry
+   */
+  static async retryEmail(id, adminId) {
+    try {
+      const email = await prisma.emailOutbox.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!email) {
+        throw new AppError('Email not found', 404);
+      }
+
+      if (email.status !== 'FAILED') {
+        throw new AppError('Only failed emails can be retried', 400);
+      }
+
+      const updatedEmail = await prisma.emailOutbox.update({
+        where: { id: email.id },
+        data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() }
+      });
+
+      await AuditService.log({
+        action: 'EMAIL_RETRIED',
+        entityType: 'EmailOutbox',
+        entityId: email.id,
+        oldValues: { status: email.status, attempts: email.attempts },
+        newValues: { status: 'PENDING', attempts: 0 },
+        userId: adminId
+      });
+
+      this.flush();
+
+      return updatedEmail;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to retry email', 500);
+    }
+  }
+
+  static getStudentAddress(studentProfile) {
+    return studentProfile.emailAddress || studentProfile.user.email;
+  }
+
+  static describeClass(schedule) {
+    const place = schedule.room?.name || schedule.location;
+
+    return `${schedule.day.name} ${formatTimeOfDay(schedule.timeSlot.startTime)}-${formatTimeOfDay(schedule.timeSlot.endTime)}` +
+      `${place ? `, ${place}` : ''} (${schedule.semester})`;
+  }
+
+  static describeScheduleChanges(before, after) {
+    const changes = [];
+
+    if (before.dayId !== after.dayId || before.timeSlotId !== after.timeSlotId) {
+      changes.push(
+        `Time: ${before.day.name} ${formatTimeOfDay(before.timeSlot.startTime)} is now ` +
+        `${after.day.name} ${formatTimeOfDay(after.timeSlot.startTime)}`
+      );
+    }
+
+    if ((before.location || null) !== (after.location || null)) {
+      changes.push(`Room: ${before.location || 'none'} is now ${after.location || 'none'}`);
+    }
+
+    if ((before.tutorName || null) !== (after.tutorName || null)) {
+      changes.push(`Tutor: ${before.tutorName || 'none'} is now ${after.tutorName || 'none'}`);
+    }
+
+    return changes;
+  }
+}
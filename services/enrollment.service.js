@@ -1,36 +1,869 @@
-// import prisma from "../prisma/client.js";
-
-// export async function requestEnrollment(userId, scheduleId) {
-//   return prisma.enrollment.create({
-//     data: {
-//       userId,
-//       scheduleId,
-//       status: "PENDING"
-//     }
-//   });
-// }
-
-// export async function withdrawEnrollment(userId, enrollmentId) {
-//   const enrollment = await prisma.enrollment.findUnique({ where: { id: enrollmentId } });
-//   if (!enrollment || enrollment.userId !== userId) {
-//     throw new Error("Not authorized to withdraw this enrollment");
-//   }
-//   return prisma.enrollment.update({
-//     where: { id: enrollmentId },
-//     data: { status: "WITHDRAWN" }
-//   });
-// }
-
-// export async function approveEnrollment(enrollmentId) {
-//   return prisma.enrollment.update({
-//     where: { id: enrollmentId },
-//     data: { status: "APPROVED" }
-//   });
-// }
-
-// export async function rejectEnrollment(enrollmentId) {
-//   return prisma.enrollment.update({
-//     where: { id: enrollmentId },
-//     data: { status: "REJECTED" }
-//   });
-// }
+// services/enrollment.service.js
+
+import { PrismaClient, Prisma } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import SemesterService from './semester.service.js';
+import AuditService from './audit.service.js';
+import UnitService from './unit.service.js';
+import CreditLoadService from './creditLoad.service.js';
+import EmailService from './email.service.js';
+import NotificationService from './notification.service.js';
+import RealtimeService from './realtime.service.js';
+import { timeRangesOverlap, formatTimeOfDay } from '../utils/time.js';
+
+const prisma = new PrismaClient();
+
+const ACTIVE_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED'];
+
+const enrollmentInclude = {
+  schedule: {
+    include: {
+      unit: true,
+      timeSlot: true,
+      day: true
+    }
+  },
+  studentProfile: {
+    select: {
+      id: true,
+      studentId: true,
+      firstName: true,
+      lastName: true,
+      program: true,
+      yearLevel: true
+    }
+  },
+  approvedBy: {
+    select: {
+      id: true,
+      email: true
+    }
+  }
+};
+
+export default class EnrollmentService {
+  /**
+   * Request enrollment in a schedule
+   * @param {number} studentProfileId - Student profile ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Created enrollment
+   */
+  static async requestEnrollment(studentProfileId, scheduleId) {
+    try {
+      const schedule = await prisma.schedule.findUnique({
+        where: { id: parseInt(scheduleId) },
+        include: {
+          unit: true,
+          timeSlot: true,
+          day: true
+        }
+      });
+
+      if (!schedule || !schedule.isActive || !schedule.unit.isActive) {
+        throw new AppError('Schedule not found or inactive', 404);
+      }
+
+      await SemesterService.assertEnrollmentOpen(schedule.semester);
+
+      const enrollment = await prisma.$transaction(async (tx) => {
+        const seats = await this.lockSeats(tx, schedule.id);
+        const requested = await this.createRequest(tx, studentProfileId, schedule, seats);
+
+        await this.announceRequest(tx, requested);
+
+        return requested;
+      });
+
+      await this.logRequest(enrollment);
+
+      this.publishChange(enrollment.scheduleId, [enrollment]);
+
+      return enrollment;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to request enrollment', 500);
+    }
+  }
+
+  /**
+   * Withdraw a student's own enrollment
+   * @param {number} studentProfileId - Student profile ID
+   * @param {number} enrollmentId - Enrollment ID
+   * @returns {Promise<Object>} Withdrawn enrollment
+   */
+  static async withdrawEnrollment(studentProfileId, enrollmentId) {
+    try {
+      const enrollment = await prisma.enrollment.findUnique({
+        where: { id: parseInt(enrollmentId) }
+      });
+
+      if (!enrollment || enrollment.studentProfileId !== studentProfileId) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      if (!ACTIVE_STATUSES.includes(enrollment.status)) {
+        throw new AppError(`Cannot withdraw an enrollment that is ${enrollment.status.toLowerCase()}`, 400);
+      }
+
+      const { withdrawn, promoted } = await prisma.$transaction(async (tx) => {
+        await this.lockSeats(tx, enrollment.scheduleId);
+        await this.assertStatusUnchanged(tx, enrollment);
+
+        const withdrawn = await tx.enrollment.update({
+          where: { id: enrollment.id },
+          data: {
+            status: 'WITHDRAWN',
+            waitlistPosition: null
+          },
+          include: enrollmentInclude
+        });
+
+        const promoted = await this.releaseSeat(tx, enrollment);
+
+        return { withdrawn, promoted };
+      });
+
+      await this.logStatusChange('ENROLLMENT_WITHDRAWN', enrollment, withdrawn);
+      await this.logPromotion(promoted);
+
+      this.publishChange(enrollment.scheduleId, [withdrawn, promoted]);
+
+      return withdrawn;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to withdraw enrollment', 500);
+    }
+  }
+
+  /**
+   * Get enrollments belonging to a student
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} filters - Filter options
+   * @returns {Promise<Array>} Student enrollments
+   */
+  static async getStudentEnrollments(studentProfileId, filters = {}) {
+    try {
+      const where = {
+        studentProfileId,
+        ...(filters.status && { status: filters.status }),
+        ...((filters.semester || filters.academicYear) && {
+          schedule: {
+            ...(filters.semester && { semester: filters.semester }),
+            ...(filters.academicYear && { academicYear: parseInt(filters.academicYear) })
+          }
+        })
+      };
+
+      const enrollments = await prisma.enrollment.findMany({
+        where,
+        include: enrollmentInclude,
+        orderBy: { enrolledAt: 'desc' }
+      });
+
+      return enrollments;
+    } catch (error) {
+      throw new AppError('Failed to fetch enrollments', 500);
+    }
+  }
+
+  /**
+   * Get all enrollments with filters
+   * @param {Object} filters - Filter options
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} Enrollments with pagination
+   */
+  static async getAllEnrollments(filters = {}, page = 1, limit = 20) {
+    try {
+      const where = {
+        ...(filters.status && { status: filters.status }),
+        ...(filters.scheduleId && { scheduleId: parseInt(filters.scheduleId) }),
+        ...(filters.studentProfileId && { studentProfileId: parseInt(filters.studentProfileId) }),
+        ...((filters.unitId || filters.semester || filters.academicYear) && {
+          schedule: {
+            ...(filters.unitId && { unitId: parseInt(filters.unitId) }),
+            ...(filters.semester && { semester: filters.semester }),
+            ...(filters.academicYear && { academicYear: parseInt(filters.academicYear) })
+          }
+        })
+      };
+
+      const skip = (page - 1) * limit;
+
+      const [enrollments, totalCount] = await Promise.all([
+        prisma.enrollment.findMany({
+          where,
+          skip,
+          take: limit,
+          include: enrollmentInclude,
+          orderBy: { enrolledAt: 'asc' }
+        }),
+        prisma.enrollment.count({ where })
+      ]);
+
+      return {
+        enrollments,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalItems: totalCount,
+          hasNext: page < Math.ceil(totalCount / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch enrollments', 500);
+    }
+  }
+
+  /**
+   * Get enrollment by ID
+   * @param {number} id - Enrollment ID
+   * @returns {Promise<Object>} Enrollment details
+   */
+  static async getEnrollmentById(id) {
+    try {
+      const enrollment = await prisma.enrollment.findUnique({
+        where: { id: parseInt(id) },
+        include: enrollmentInclude
+      });
+
+      if (!enrollment) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      return enrollment;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch enrollment', 500);
+    }
+  }
+
+  /**
+   * Approve a pending or waitlisted enrollment
+   * @param {number} id - Enrollment ID
+   * @param {number} approvedById - ID of the approving admin
+   * @returns {Promise<Object>} Approved enrollment
+   */
+  static async approveEnrollment(id, approvedById) {
+    try {
+      const enrollment = await prisma.enrollment.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!enrollment) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      if (!['PENDING', 'WAITLISTED'].includes(enrollment.status)) {
+        throw new AppError(`Cannot approve an enrollment that is ${enrollment.status.toLowerCase()}`, 400);
+      }
+
+      const updatedEnrollment = await prisma.$transaction(async (tx) => {
+        const seats = await this.lockSeats(tx, enrollment.scheduleId);
+        await this.assertStatusUnchanged(tx, enrollment);
+
+        if (seats.available === 0) {
+          throw new AppError('Schedule is at full capacity', 409);
+        }
+
+        const approved = await tx.enrollment.update({
+          where: { id: enrollment.id },
+          data: {
+            status: 'APPROVED',
+            approvedAt: new Date(),
+            approvedById,
+            rejectedAt: null,
+            rejectionReason: null,
+            waitlistPosition: null
+          },
+          include: enrollmentInclude
+        });
+
+        // Approving straight off the waitlist leaves a gap in the positions
+        if (enrollment.status === 'WAITLISTED') {
+          await this.renumberWaitlist(tx, enrollment.scheduleId);
+        }
+
+        await this.announceStatusChange(tx, approved.id, 'ENROLLMENT_APPROVED');
+
+        return approved;
+      });
+
+      await this.logStatusChange('ENROLLMENT_APPROVED', enrollment, updatedEnrollment);
+
+      this.publishChange(enrollment.scheduleId, [updatedEnrollment]);
+
+      return updatedEnrollment;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to approve enrollment', 500);
+    }
+  }
+
+  /**
+   * Reject an enrollment
+   * @param {number} id - Enrollment ID
+   * @param {number} approvedById - ID of the reviewing admin
+   * @param {string} rejectionReason - Reason shown to the student
+   * @returns {Promise<Object>} Rejected enrollment
+   */
+  static async rejectEnrollment(id, approvedById, rejectionReason) {
+    try {
+      const enrollment = await prisma.enrollment.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!enrollment) {
+        throw new AppError('Enrollment not found', 404);
+      }
+
+      if (!ACTIVE_STATUSES.includes(enrollment.status)) {
+        throw new AppError(`Cannot reject an enrollment that is ${enrollment.status.toLowerCase()}`, 400);
+      }
+
+      const { rejected, promoted } = await prisma.$transaction(async (tx) => {
+        await this.lockSeats(tx, enrollment.scheduleId);
+        await this.assertStatusUnchanged(tx, enrollment);
+
+        const rejected = await tx.enrollment.update({
+          where: { id: enrollment.id },
+          data: {
+            status: 'REJECTED',
+            rejectedAt: new Date(),
+            rejectionReason,
+            approvedById,
+            approvedAt: null,
+            waitlistPosition: null
+          },
+          include: enrollmentInclude
+        });
+
+        const promoted = await this.releaseSeat(tx, enrollment);
+
+        await this.announceStatusChange(tx, rejected.id, 'ENROLLMENT_REJECTED');
+
+        return { rejected, promoted };
+      });
+
+      await this.logStatusChange('ENROLLMENT_REJECTED', enrollment, rejected);
+      await this.logPromotion(promoted);
+
+      this.publishChange(enrollment.scheduleId, [rejected, promoted]);
+
+      return rejected;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to reject enrollment', 500);
+    }
+  }
+
+  /**
+   * Get the ordered waitlist for a schedule
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Array>} Waitlisted enrollments
+   */
+  static async getScheduleWaitlist(scheduleId) {
+    try {
+      const schedule = await prisma.schedule.findUnique({
+        where: { id: parseInt(scheduleId) }
+      });
+
+      if (!schedule) {
+        throw new AppError('Schedule not found', 404);
+      }
+
+      const waitlist = await prisma.enrollment.findMany({
+        where: {
+          scheduleId: schedule.id,
+          status: 'WAITLISTED'
+        },
+        include: enrollmentInclude,
+        orderBy: { waitlistPosition: 'asc' }
+      });
+
+      return waitlist;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch waitlist', 500);
+    }
+  }
+
+  /**
+   * Reject a request that overlaps a class the student already holds
+   * @param {Object} tx - Prisma client or transaction client
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} schedule - Requested schedule with its unit, time slot and day
+   * @param {Array} accepted - Requests accepted earlier in the same batch but not saved, as { schedule, status }
+   * @returns {Promise<void>}
+   */
+  static async checkTimetableClashes(tx, studentProfileId, schedule, accepted = []) {
+    const enrollments = await tx.enrollment.findMany({
+      where: {
+        studentProfileId,
+        status: { in: ['PENDING', 'APPROVED'] },
+        scheduleId: { not: schedule.id },
+        schedule: {
+          dayId: schedule.dayId,
+          semester: schedule.semester,
+          academicYear: schedule.academicYear
+        }
+      },
+      include: {
+        schedule: {
+          include: {
+            unit: true,
+            timeSlot: true,
+            day: true
+          }
+        }
+      }
+    });
+
+    const unsaved = accepted.filter(request =>
+      request.status !== 'WAITLISTED' &&
+      request.schedule.dayId === schedule.dayId &&
+      request.schedule.semester === schedule.semester &&
+      request.schedule.academicYear === schedule.academicYear
+    );
+
+    const clashes = [...enrollments, ...unsaved]
+      .map(enrollment => enrollment.schedule)
+      .filter(held => timeRangesOverlap(
+        held.timeSlot.startTime,
+        held.timeSlot.endTime,
+        schedule.timeSlot.startTime,
+        schedule.timeSlot.endTime
+      ));
+
+    if (clashes.length > 0) {
+      const clashDetails = clashes.map(c =>
+        `${c.unit.unitCode} on ${c.day.name} ${formatTimeOfDay(c.timeSlot.startTime)}-${formatTimeOfDay(c.timeSlot.endTime)}`
+      ).join(', ');
+
+      throw new AppError(
+        `Timetable clash with your existing enrollments: ${clashDetails}`,
+        409,
+        {
+          clashes: clashes.map(c => ({
+            scheduleId: c.id,
+            unitCode: c.unit.unitCode,
+            unitTitle: c.unit.title,
+            day: c.day.name,
+            startTime: c.timeSlot.startTime,
+            endTime: c.timeSlot.endTime
+          }))
+        }
+      );
+    }
+  }
+
+  /**
+   * Summarise the units a student has completed or currently holds, for requisite checks
+   * @param {Object} tx - Prisma client or transaction client
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} schedule - Requested schedule
+   * @param {Array} accepted - Requests accepted earlier in the same batch but not saved, as { schedule, status }
+   * @returns {Promise<Object>} completedUnitIds, concurrentUnitIds and activeUnitIds sets
+   */
+  static async getRequisiteHistory(tx, studentProfileId, schedule, accepted = []) {
+    const enrollments = await tx.enrollment.findMany({
+      where: {
+        studentProfileId,
+        status: { in: ['COMPLETED', ...ACTIVE_STATUSES] },
+        scheduleId: { not: schedule.id }
+      },
+      include: {
+        schedule: {
+          select: { unitId: true, semester: true, academicYear: true }
+        }
+      }
+    });
+
+    const history = {
+      completedUnitIds: new Set(),
+      concurrentUnitIds: new Set(),
+      activeUnitIds: new Set()
+    };
+
+    for (const enrollment of [...enrollments, ...accepted]) {
+      const { unitId, semester, academicYear } = enrollment.schedule;
+
+      if (enrollment.status === 'COMPLETED') {
+        history.completedUnitIds.add(unitId);
+        continue;
+      }
+
+      history.activeUnitIds.add(unitId);
+
+      // Co-requisites may be satisfied by a seat held in the same semester
+      if (enrollment.status !== 'WAITLISTED' && semester === schedule.semester && academicYear === schedule.academicYear) {
+        history.concurrentUnitIds.add(unitId);
+      }
+    }
+
+    return history;
+  }
+
+  /**
+   * Get the effective capacity of a schedule
+   * @param {Object} schedule - Schedule with its unit
+   * @returns {number} Capacity
+   */
+  static getScheduleCapacity(schedule) {
+    return schedule.maxCapacity || schedule.unit.capacity;
+  }
+
+  /**
+   * Audit an enrollment status transition
+   * @param {string} action - Audit action
+   * @param {Object} before - Enrollment before the change
+   * @param {Object} after - Enrollment after the change
+   * @returns {Promise<void>}
+   */
+  static async logStatusChange(action, before, after) {
+    await AuditService.log({
+      action,
+      entityType: 'Enrollment',
+      entityId: after.id,
+      oldValues: { status: before.status, waitlistPosition: before.waitlistPosition },
+      newValues: {
+        status: after.status,
+        waitlistPosition: after.waitlistPosition,
+        ...(after.rejectionReason && { rejectionReason: after.rejectionReason })
+      }
+    });
+  }
+
+  /**
+   * Audit a promotion off the waitlist
+   * @param {Object|null} promoted - Promoted enrollment, if any
+   * @returns {Promise<void>}
+   */
+  static async logPromotion(promoted) {
+    if (!promoted) {
+      return;
+    }
+
+    await AuditService.log({
+      action: 'ENROLLMENT_PROMOTED',
+      entityType: 'Enrollment',
+      entityId: promoted.id,
+      oldValues: { status: 'WAITLISTED' },
+      newValues: { status: promoted.status }
+    });
+  }
+
+  /**
+   * Tell the student about a status change by email and in-app notification
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {string} event - ENROLLMENT_APPROVED, ENROLLMENT_REJECTED, ENROLLMENT_WAITLISTED or ENROLLMENT_PROMOTED
+   * @returns {Promise<void>}
+   */
+  static async announceStatusChange(tx, enrollmentId, event) {
+    await EmailService.queueEnrollmentEmail(tx, enrollmentId, event);
+    await NotificationService.notifyEnrollment(tx, enrollmentId, event);
+  }
+
+  /**
+   * Check a request against the student's record without writing anything
+   * @param {Object} tx - Prisma client or transaction client
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} schedule - Schedule with its unit, time slot and day
+   * @param {Object} seats - Seat counts from lockSeats or countSeats
+   * @param {Array} accepted - Requests accepted earlier in the same batch but not saved, as { schedule, status }
+   * @returns {Promise<Object>} Existing enrollment, if any, and the status and waitlist position to request with
+   */
+  static async checkRequest(tx, studentProfileId, schedule, seats, accepted = []) {
+    const existing = await tx.enrollment.findUnique({
+      where: {
+        studentProfileId_scheduleId: {
+          studentProfileId,
+          scheduleId: schedule.id
+        }
+      }
+    });
+
+    if (existing && ACTIVE_STATUSES.includes(existing.status)) {
+      throw new AppError('You already have an active enrollment for this schedule', 409);
+    }
+
+    if (existing && existing.status === 'COMPLETED') {
+      throw new AppError('You have already completed this schedule', 409);
+    }
+
+    await this.checkTimetableClashes(tx, studentProfileId, schedule, accepted);
+
+    const history = await this.getRequisiteHistory(tx, studentProfileId, schedule, accepted);
+    await UnitService.checkRequisites(schedule.unitId, history, tx);
+
+    const acceptedCredits = accepted.reduce((total, request) => total + request.schedule.unit.credits, 0);
+    await CreditLoadService.assertWithinMaximum(tx, studentProfileId, schedule, acceptedCredits);
+
+    // Join the waitlist when the schedule is full or others are already queued
+    const isWaitlisted = seats.available === 0 || seats.waitlisted > 0;
+
+    return {
+      existing,
+      data: {
+        status: isWaitlisted ? 'WAITLISTED' : 'PENDING',
+        waitlistPosition: isWaitlisted ? seats.waitlisted + 1 : null
+      }
+    };
+  }
+
+  /**
+   * Check a request against the student's record and create it as pending or waitlisted
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} studentProfileId - Student profile ID
+   * @param {Object} schedule - Schedule with its unit, time slot and day
+   * @param {Object} seats - Seat counts from lockSeats
+   * @returns {Promise<Object>} Requested enrollment
+   */
+  static async createRequest(tx, studentProfileId, schedule, seats) {
+    const { existing, data } = await this.checkRequest(tx, studentProfileId, schedule, seats);
+
+    let requested;
+
+    // A withdrawn or rejected request can be submitted again
+    if (existing) {
+      requested = await tx.enrollment.update({
+        where: { id: existing.id },
+        data: {
+          ...data,
+          enrolledAt: new Date(),
+          approvedAt: null,
+          approvedById: null,
+          rejectedAt: null,
+          rejectionReason: null
+        },
+        include: enrollmentInclude
+      });
+    } else {
+      requested = await tx.enrollment.create({
+        data: {
+          studentProfileId,
+          scheduleId: schedule.id,
+          ...data
+        },
+        include: enrollmentInclude
+      });
+    }
+
+    return requested;
+  }
+
+  /**
+   * Tell the student they were waitlisted, or the admins that a request is waiting
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} requested - Requested enrollment
+   * @returns {Promise<void>}
+   */
+  static async announceRequest(tx, requested) {
+    if (requested.status === 'WAITLISTED') {
+      await this.announceStatusChange(tx, requested.id, 'ENROLLMENT_WAITLISTED');
+    } else {
+      await NotificationService.notifyEnrollment(tx, requested.id, 'ENROLLMENT_REQUESTED');
+    }
+  }
+
+  /**
+   * Audit a new request
+   * @param {Object} enrollment - Requested enrollment
+   * @returns {Promise<void>}
+   */
+  static async logRequest(enrollment) {
+    await AuditService.log({
+      action: enrollment.status === 'WAITLISTED' ? 'ENROLLMENT_WAITLISTED' : 'ENROLLMENT_REQUESTED',
+      entityType: 'Enrollment',
+      entityId: enrollment.id,
+      newValues: {
+        scheduleId: enrollment.scheduleId,
+        status: enrollment.status,
+        waitlistPosition: enrollment.waitlistPosition
+      }
+    });
+  }
+
+  /**
+   * Lock a schedule's row until the transaction ends and count its seats.
+   * Every path that hands out a seat or a waitlist position takes this lock, so concurrent
+   * requests queue behind each other instead of acting on the same count.
+   * Take it before any other read in the transaction: InnoDB fixes the read snapshot at the
+   * first plain read, and counts taken after the lock must include the previous holder's commit.
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} capacity, approved, waitlisted and available seats
+   */
+  static async lockSeats(tx, scheduleId) {
+    await tx.$queryRaw`SELECT id FROM schedules WHERE id = ${scheduleId} FOR UPDATE`;
+
+    return this.countSeats(tx, scheduleId);
+  }
+
+  /**
+   * Lock several schedules' rows in one statement, then count each one's seats.
+   * Locking them one by one would let the first count fix the read snapshot before the
+   * later locks are granted, so later counts would miss what those lock holders committed.
+   * Rows are locked in ID order so transactions sharing schedules cannot deadlock.
+   * @param {Object} tx - Prisma transaction client
+   * @param {Array<number>} scheduleIds - Schedule IDs
+   * @returns {Promise<Map>} Seats by schedule ID
+   */
+  static async lockAllSeats(tx, scheduleIds) {
+    await tx.$queryRaw`SELECT id FROM schedules WHERE id IN (${Prisma.join(scheduleIds)}) ORDER BY id FOR UPDATE`;
+
+    const seats = new Map();
+    for (const scheduleId of scheduleIds) {
+      seats.set(scheduleId, await this.countSeats(tx, scheduleId));
+    }
+
+    return seats;
+  }
+
+  /**
+   * Count a schedule's seats without locking; only good for display
+   * @param {Object} client - Prisma client or transaction client
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} capacity, approved, waitlisted and available seats
+   */
+  static async countSeats(client, scheduleId) {
+    const [schedule, approved, waitlisted] = await Promise.all([
+      client.schedule.findUnique({ where: { id: scheduleId }, include: { unit: true } }),
+      client.enrollment.count({ where: { scheduleId, status: 'APPROVED' } }),
+      client.enrollment.count({ where: { scheduleId, status: 'WAITLISTED' } })
+    ]);
+
+    const capacity = this.getScheduleCapacity(schedule);
+
+    return {
+      capacity,
+      approved,
+      waitlisted,
+      available: Math.max(capacity - approved, 0)
+    };
+  }
+
+  /**
+   * Make sure an enrollment was not changed by another request since it was read
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} enrollment - Enrollment as read before the transaction
+   * @returns {Promise<void>}
+   */
+  static async assertStatusUnchanged(tx, enrollment) {
+    const current = await tx.enrollment.findUnique({
+      where: { id: enrollment.id },
+      select: { status: true }
+    });
+
+    if (current.status !== enrollment.status) {
+      throw new AppError(`Enrollment is now ${current.status.toLowerCase()}; reload and try again`, 409);
+    }
+  }
+
+  /**
+   * Push committed status changes and the schedule's new seat count to open event streams
+   * @param {number} scheduleId - Schedule ID
+   * @param {Array<Object|null>} enrollments - Changed enrollments
+   */
+  static publishChange(scheduleId, enrollments) {
+    RealtimeService.publishEnrollments(enrollments);
+    RealtimeService.publishSeats([scheduleId]);
+  }
+
+  /**
+   * Free the seat or waitlist spot held by an enrollment that is leaving
+   * @param {Object} tx - Prisma transaction client
+   * @param {Object} enrollment - Enrollment as it was before the change
+   * @returns {Promise<Object|null>} Promoted enrollment, if any
+   */
+  static async releaseSeat(tx, enrollment) {
+    if (enrollment.status === 'APPROVED') {
+      return this.promoteFromWaitlist(tx, enrollment.scheduleId);
+    }
+
+    if (enrollment.status === 'WAITLISTED') {
+      await this.renumberWaitlist(tx, enrollment.scheduleId);
+    }
+
+    return null;
+  }
+
+  /**
+   * Promote the head of the waitlist into a free seat
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Promoted enrollment, if any
+   */
+  static async promoteFromWaitlist(tx, scheduleId) {
+    const seats = await this.lockSeats(tx, scheduleId);
+
+    if (seats.available === 0) {
+      return null;
+    }
+
+    const next = await tx.enrollment.findFirst({
+      where: { scheduleId, status: 'WAITLISTED' },
+      orderBy: { waitlistPosition: 'asc' }
+    });
+
+    if (!next) {
+      return null;
+    }
+
+    const promoted = await tx.enrollment.update({
+      where: { id: next.id },
+      data: {
+        status: 'APPROVED',
+        approvedAt: new Date(),
+        waitlistPosition: null
+      },
+      include: enrollmentInclude
+    });
+
+    await this.renumberWaitlist(tx, scheduleId);
+
+    await this.announceStatusChange(tx, promoted.id, 'ENROLLMENT_PROMOTED');
+
+    return promoted;
+  }
+
+  /**
+   * Close gaps in waitlist positions so they run 1..n
+   * @param {Object} tx - Prisma transaction client
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<void>}
+   */
+  static async renumberWaitlist(tx, scheduleId) {
+    const waitlist = await tx.enrollment.findMany({
+      where: { scheduleId, status: 'WAITLISTED' },
+      orderBy: [
+        { waitlistPosition: 'asc' },
+        { enrolledAt: 'asc' }
+      ],
+      select: { id: true, waitlistPosition: true }
+    });
+
+    for (const [index, entry] of waitlist.entries()) {
+      if (entry.waitlistPosition !== index + 1) {
+        await tx.enrollment.update({
+          where: { id: entry.id },
+          data: { waitlistPosition: index + 1 }
+        });
+      }
+    }
+  }
+}
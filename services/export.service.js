@@ -0,0 +1,381 @@
+// services/export.service.js
+
+import { PrismaClient } from '@prisma/client';
+import PDFDocument from 'pdfkit';
+import { AppError } from '../utils/errors.js';
+import ScheduleService from './schedule.service.js';
+import UnitService from './unit.service.js';
+import SemesterService from './semester.service.js';
+import { toCsv } from '../utils/csv.js';
+import { toXlsx, CSV_TYPE, XLSX_TYPE } from '../utils/spreadsheet.js';
+import { formatTimeOfDay } from '../utils/time.js';
+
+const prisma = new PrismaClient();
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const ENROLLMENT_STATUSES = ['PENDING', 'APPROVED', 'REJECTED', 'WAITLISTED', 'WITHDRAWN', 'COMPLETED'];
+
+const scheduleOrder = [
+  { unit: { unitCode: 'asc' } },
+  { day: { dayOrder: 'asc' } },
+  { timeSlot: { startTime: 'asc' } }
+];
+
+const scheduleInclude = {
+  unit: true,
+  timeSlot: true,
+  day: true,
+  tutor: true,
+  room: true
+};
+
+const scheduleColumns = (schedule) => [
+  { header: 'Unit Code', value: row => schedule(row).unit.unitCode },
+  { header: 'Unit Title', value: row => schedule(row).unit.title },
+  { header: 'Semester', value: row => schedule(row).semester },
+  { header: 'Day', value: row => schedule(row).day.name },
+  { header: 'Start', value: row => formatTimeOfDay(schedule(row).timeSlot.startTime) },
+  { header: 'End', value: row => formatTimeOfDay(schedule(row).timeSlot.endTime) },
+  { header: 'Room', value: row => schedule(row).room?.name || schedule(row).location },
+  { header: 'Tutor', value: row => schedule(row).tutorName }
+];
+
+const enrollmentColumns = [
+  { header: 'Enrollment ID', value: row => row.id },
+  { header: 'Student ID', value: row => row.studentProfile.studentId },
+  { header: 'First Name', value: row => row.studentProfile.firstName },
+  { header: 'Last Name', value: row => row.studentProfile.lastName },
+  { header: 'Email', value: row => row.studentProfile.emailAddress || row.studentProfile.user.email },
+  { header: 'Program', value: row => row.studentProfile.program },
+  { header: 'Year Level', value: row => row.studentProfile.yearLevel },
+  ...scheduleColumns(row => row.schedule),
+  { header: 'Status', value: row => row.status },
+  { header: 'Waitlist Position', value: row => row.waitlistPosition },
+  { header: 'Enrolled At', value: row => row.enrolledAt },
+  { header: 'Approved At', value: row => row.approvedAt },
+  { header: 'Grade', value: row => row.grade }
+];
+
+const timetableColumns = [
+  ...scheduleColumns(row => row),
+  { header: 'Credits', value: row => row.unit.credits },
+  { header: 'Program', value: row => row.program },
+  { header: 'Year Level', value: row => row.yearLevel },
+  { header: 'Capacity', value: row => row.maxCapacity || row.unit.capacity },
+  { header: 'Approved', value: row => row._count.enrollments },
+  { header: 'Available Spots', value: row => (row.maxCapacity || row.unit.capacity) - row._count.enrollments }
+];
+
+// One row per emergency contact; students without one still get a row
+const contactColumns = [
+  { header: 'Student ID', value: row => row.student.studentId },
+  { header: 'First Name', value: row => row.student.firstName },
+  { header: 'Last Name', value: row => row.student.lastName },
+  { header: 'Email', value: row => row.student.emailAddress || row.student.user.email },
+  { header: 'Phone', value: row => row.student.phone },
+  { header: 'Address', value: row => row.student.address },
+  { header: 'Program', value: row => row.student.program },
+  { header: 'Year Level', value: row => row.student.yearLevel },
+  { header: 'Contact Name', value: row => row.contact?.name },
+  { header: 'Relationship', value: row => row.contact?.relationship },
+  { header: 'Contact Number', value: row => row.contact?.contactNo },
+  { header: 'Contact Email', value: row => row.contact?.email },
+  { header: 'Primary Contact', value: row => (row.contact ? (row.contact.isPrimary ? 'Yes' : 'No') : null) }
+];
+
+export default class ExportService {
+  /**
+   * Export enrollments for a schedule, unit or semester
+   * @param {Object} filters - scheduleId, status, schedule list filters and unit list filters
+   * @param {string} format - csv or xlsx
+   * @returns {Promise<Object>} filename, contentType and body
+   */
+  static async exportEnrollments(filters = {}, format = 'csv') {
+    try {
+      this.assertFormat(format);
+
+      if (filters.status && !ENROLLMENT_STATUSES.includes(filters.status)) {
+        throw new AppError(`Status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`, 400);
+      }
+
+      const enrollments = await prisma.enrollment.findMany({
+        where: {
+          ...(filters.status && { status: filters.status }),
+          schedule: {
+            ...ScheduleService.buildScheduleFilter(filters.schedule),
+            ...(filters.scheduleId && { id: parseInt(filters.scheduleId) }),
+            unit: UnitService.buildUnitFilter(filters.unit)
+          }
+        },
+        include: {
+          studentProfile: {
+            include: { user: { select: { email: true } } }
+          },
+          schedule: { include: scheduleInclude }
+        },
+        orderBy: [
+          { schedule: { unit: { unitCode: 'asc' } } },
+          { schedule: { day: { dayOrder: 'asc' } } },
+          { schedule: { timeSlot: { startTime: 'asc' } } },
+          { studentProfile: { lastName: 'asc' } },
+          { studentProfile: { firstName: 'asc' } }
+        ]
+      });
+
+      return this.buildFile(enrollments, enrollmentColumns, format, this.buildFilename('enrollments', filters), 'Enrollments');
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to export enrollments', 500);
+    }
+  }
+
+  /**
+   * Export the timetable of a semester
+   * @param {Object} filters - schedule list filters and unit list filters; semester is required
+   * @param {string} format - csv or xlsx
+   * @returns {Promise<Object>} filename, contentType and body
+   */
+  static async exportTimetable(filters = {}, format = 'csv') {
+    try {
+      this.assertFormat(format);
+
+      if (!filters.schedule?.semester) {
+        throw new AppError('Semester is required', 400);
+      }
+
+      const schedules = await prisma.schedule.findMany({
+        where: {
+          ...ScheduleService.buildScheduleFilter(filters.schedule),
+          unit: UnitService.buildUnitFilter(filters.unit)
+        },
+        include: {
+          ...scheduleInclude,
+          _count: {
+            select: {
+              enrollments: {
+                where: { status: 'APPROVED' }
+              }
+            }
+          }
+        },
+        orderBy: [
+          { day: { dayOrder: 'asc' } },
+          { timeSlot: { startTime: 'asc' } },
+          { unit: { unitCode: 'asc' } }
+        ]
+      });
+
+      return this.buildFile(schedules, timetableColumns, format, this.buildFilename('timetable', filters), 'Timetable');
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to export timetable', 500);
+    }
+  }
+
+  /**
+   * Export student contact details with their emergency contacts
+   * @param {Object} filters - program, yearLevel; schedule or unit filters limit it to students enrolled in matching classes
+   * @param {string} format - csv or xlsx
+   * @returns {Promise<Object>} filename, contentType and body
+   */
+  static async exportStudentContacts(filters = {}, format = 'csv') {
+    try {
+      this.assertFormat(format);
+
+      const scheduleFilters = Object.values(filters.schedule || {}).some(Boolean);
+      const unitFilters = Object.values(filters.unit || {}).some(Boolean);
+
+      const students = await prisma.studentProfile.findMany({
+        where: {
+          user: { isActive: true },
+          ...(filters.program && { program: filters.program }),
+          ...(filters.yearLevel && { yearLevel: parseInt(filters.yearLevel) }),
+          ...((scheduleFilters || unitFilters) && {
+            enrollments: {
+              some: {
+                status: { in: ['PENDING', 'APPROVED', 'WAITLISTED'] },
+                schedule: {
+                  ...ScheduleService.buildScheduleFilter(filters.schedule),
+                  unit: UnitService.buildUnitFilter(filters.unit)
+                }
+              }
+            }
+          })
+        },
+        include: {
+          user: { select: { email: true } },
+          emergencyContacts: {
+            orderBy: [{ isPrimary: 'desc' }, { name: 'asc' }]
+          }
+        },
+        orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }]
+      });
+
+      const rows = students.flatMap(student =>
+        student.emergencyContacts.length > 0
+          ? student.emergencyContacts.map(contact => ({ student, contact }))
+          : [{ student, contact: null }]
+      );
+
+      return this.buildFile(rows, contactColumns, format, this.buildFilename('student-contacts', filters), 'Contacts');
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to export student contacts', 500);
+    }
+  }
+
+  /**
+   * Render a student's approved timetable for a semester as a PDF
+   * @param {number} studentProfileId - Student profile ID
+   * @param {string} semesterName - Semester name; defaults to the current semester
+   * @returns {Promise<Object>} filename, contentType and body
+   */
+  static async getStudentTimetablePdf(studentProfileId, semesterName) {
+    try {
+      const semester = semesterName
+        ? await SemesterService.getSemesterByName(semesterName)
+        : await SemesterService.getCurrentSemester();
+
+      const student = await prisma.studentProfile.findUnique({
+        where: { id: studentProfileId }
+      });
+
+      const enrollments = await prisma.enrollment.findMany({
+        where: {
+          studentProfileId,
+          status: 'APPROVED',
+          schedule: { semester: semester.name, academicYear: semester.academicYear }
+        },
+        include: {
+          schedule: { include: scheduleInclude }
+        },
+        orderBy: [
+          { schedule: { day: { dayOrder: 'asc' } } },
+          { schedule: { timeSlot: { startTime: 'asc' } } }
+        ]
+      });
+
+      const body = await this.renderTimetablePdf(student, semester, enrollments.map(enrollment => enrollment.schedule));
+
+      return {
+        filename: `timetable-${student.studentId}-${semester.name}.pdf`,
+        contentType: 'application/pdf',
+        body
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to export timetable', 500);
+    }
+  }
+
+  static renderTimetablePdf(student, semester, schedules) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 40 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.fontSize(18).text(`Timetable - ${semester.name}`);
+      doc.moveDown(0.3);
+      doc.fontSize(11).text(`${student.firstName} ${student.lastName} (${student.studentId})`);
+      doc.text(`${student.program}, Year ${student.yearLevel}`);
+      doc.moveDown();
+
+      if (schedules.length === 0) {
+        doc.text('No approved enrollments for this semester.');
+        doc.end();
+        return;
+      }
+
+      const columns = [
+        { header: 'Day', width: 80, value: schedule => schedule.day.name },
+        { header: 'Time', width: 90, value: schedule => `${formatTimeOfDay(schedule.timeSlot.startTime)}-${formatTimeOfDay(schedule.timeSlot.endTime)}` },
+        { header: 'Unit', width: 70, value: schedule => schedule.unit.unitCode },
+        { header: 'Title', width: 250, value: schedule => schedule.unit.title },
+        { header: 'Room', width: 120, value: schedule => schedule.room?.name || schedule.location || '' },
+        { header: 'Tutor', width: 150, value: schedule => schedule.tutorName || '' }
+      ];
+
+      const drawRow = (values, font) => {
+        const y = doc.y;
+        let x = doc.page.margins.left;
+
+        doc.font(font);
+        const height = Math.max(...values.map((value, index) =>
+          doc.heightOfString(String(value), { width: columns[index].width - 6 })
+        ));
+
+        if (y + height > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+          return drawRow(values, font);
+        }
+
+        values.forEach((value, index) => {
+          doc.text(String(value), x, y, { width: columns[index].width - 6 });
+          x += columns[index].width;
+        });
+
+        doc.x = doc.page.margins.left;
+        doc.y = y + height + 6;
+      };
+
+      doc.fontSize(10);
+      drawRow(columns.map(column => column.header), 'Helvetica-Bold');
+
+      for (const schedule of schedules) {
+        drawRow(columns.map(column => column.value(schedule)), 'Helvetica');
+      }
+
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(11).text(
+        `Total credits: ${schedules.reduce((total, schedule) => total + schedule.unit.credits, 0)}`
+      );
+
+      doc.end();
+    });
+  }
+
+  static async buildFile(rows, columns, format, basename, sheetName) {
+    if (format === 'xlsx') {
+      return {
+        filename: `${basename}.xlsx`,
+        contentType: XLSX_TYPE,
+        body: await toXlsx(rows, columns, sheetName)
+      };
+    }
+
+    return {
+      filename: `${basename}.csv`,
+      contentType: `${CSV_TYPE}; charset=utf-8`,
+      body: toCsv(rows, columns)
+    };
+  }
+
+  static buildFilename(name, filters) {
+    const scope = [
+      filters.schedule?.semester,
+      filters.scheduleId && `schedule-${filters.scheduleId}`,
+      filters.schedule?.unitId && `unit-${filters.schedule.unitId}`,
+      filters.program
+    ].filter(Boolean);
+
+    return [name, ...scope].join('-').replace(/[^\w.-]+/g, '_');
+  }
+
+  static assertFormat(format) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+  }
+}
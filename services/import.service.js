@@ -0,0 +1,343 @@
+// services/import.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import UnitService from './unit.service.js';
+import ScheduleService from './schedule.service.js';
+import SemesterService from './semester.service.js';
+import AuditService from './audit.service.js';
+import { AuthService } from './auth.service.js';
+import { readSpreadsheet } from '../utils/spreadsheet.js';
+import { toCsv } from '../utils/csv.js';
+import { toMinutesOfDay, parseTimeOfDay } from '../utils/time.js';
+
+const prisma = new PrismaClient();
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Column layout per import type; required columns must be present in the header row
+const IMPORT_TYPES = {
+  units: {
+    required: ['unitCode', 'title', 'credits', 'capacity'],
+    optional: ['description']
+  },
+  schedules: {
+    required: ['unitCode', 'day', 'startTime', 'semester'],
+    optional: ['endTime', 'academicYear', 'room', 'tutorEmail', 'tutorName', 'location', 'maxCapacity', 'program', 'yearLevel']
+  },
+  students: {
+    required: ['email', 'password', 'firstName', 'lastName', 'program', 'yearLevel'],
+    optional: ['studentId', 'phone', 'address', 'dateOfBirth']
+  }
+};
+
+// Stands in for real hashes on dry runs, whose writes are rolled back
+const DRY_RUN_PASSWORD_HASH = '!';
+
+// Thrown inside the import transaction to roll it back after a dry run or a failed row
+class ImportRollback extends Error {}
+
+export default class ImportService {
+  /**
+   * Import units, schedules or students from a CSV or XLSX file
+   * @param {string} type - units, schedules or students
+   * @param {Buffer} file - Uploaded file contents
+   * @param {string} contentType - Upload content type
+   * @param {Object} options - dryRun
+   * @param {number} adminId - Admin running the import
+   * @returns {Promise<Object>} Import summary with per-row errors
+   */
+  static async importFile(type, file, contentType, { dryRun = false } = {}, adminId) {
+    try {
+      const definition = this.getDefinition(type);
+
+      let rows;
+      try {
+        rows = await readSpreadsheet(file, contentType);
+      } catch (error) {
+        throw new AppError('File could not be read as CSV or XLSX', 400);
+      }
+
+      if (rows.length === 0) {
+        throw new AppError('File has no data rows', 400);
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`, 400);
+      }
+
+      const missingColumns = definition.required.filter(column => !(column in rows[0]));
+
+      if (missingColumns.length > 0) {
+        throw new AppError(`Missing required columns: ${missingColumns.join(', ')}`, 400);
+      }
+
+      const errors = [];
+      const records = [];
+
+      // Student rows are validated and hashed up front so the transaction below only writes
+      const inputs = type === 'students' ? await this.prepareStudentRows(rows, dryRun, errors) : rows;
+
+      // Every row runs against the same transaction so later rows see earlier ones,
+      // e.g. a schedule for a unit created a few lines up, or two rows clashing with each other
+      try {
+        await prisma.$transaction(async (tx) => {
+          for (const [index, row] of inputs.entries()) {
+            // Header is spreadsheet row 1
+            const rowNumber = index + 2;
+
+            if (!row) {
+              continue;
+            }
+
+            try {
+              records.push({ row: rowNumber, ...(await this.importRow(type, row, tx)) });
+            } catch (error) {
+              errors.push(this.describeRowError(rowNumber, error));
+            }
+          }
+
+          if (dryRun || errors.length > 0) {
+            throw new ImportRollback();
+          }
+        }, { timeout: 60000 });
+      } catch (error) {
+        if (!(error instanceof ImportRollback)) {
+          throw error;
+        }
+      }
+
+      errors.sort((a, b) => a.row - b.row);
+
+      const summary = {
+        type,
+        dryRun,
+        totalRows: rows.length,
+        validRows: rows.length - errors.length,
+        imported: dryRun || errors.length > 0 ? 0 : records.length,
+        errors
+      };
+
+      if (!dryRun && errors.length > 0) {
+        throw new AppError(`Import failed: ${errors.length} row(s) have errors and nothing was imported`, 422, summary);
+      }
+
+      if (!dryRun) {
+        for (const record of records) {
+          await AuditService.log({
+            action: record.action,
+            entityType: record.entityType,
+            entityId: record.entityId,
+            newValues: { ...record.values, source: 'import' },
+            userId: adminId
+          });
+        }
+      }
+
+      return {
+        ...summary,
+        records: records.map(({ row, entityType, entityId, values }) => ({ row, entityType, entityId, ...values }))
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to import file', 500);
+    }
+  }
+
+  /**
+   * Build an empty CSV with the columns an import type accepts
+   * @param {string} type - units, schedules or students
+   * @returns {string} CSV header row
+   */
+  static getTemplate(type) {
+    const definition = this.getDefinition(type);
+    const columns = [...definition.required, ...definition.optional];
+
+    return toCsv([], columns.map(header => ({ header, value: () => '' })));
+  }
+
+  static getDefinition(type) {
+    const definition = IMPORT_TYPES[type];
+
+    if (!definition) {
+      throw new AppError(`Import type must be one of: ${Object.keys(IMPORT_TYPES).join(', ')}`, 400);
+    }
+
+    return definition;
+  }
+
+  static async importRow(type, row, tx) {
+    if (type === 'units') {
+      const unit = await UnitService.insertUnit(row, tx);
+
+      return {
+        action: 'UNIT_CREATED',
+        entityType: 'Unit',
+        entityId: unit.id,
+        values: { unitCode: unit.unitCode, title: unit.title }
+      };
+    }
+
+    if (type === 'schedules') {
+      const schedule = await ScheduleService.insertSchedule(await this.resolveScheduleRow(row, tx), tx);
+
+      return {
+        action: 'SCHEDULE_CREATED',
+        entityType: 'Schedule',
+        entityId: schedule.id,
+        values: {
+          unitCode: schedule.unit.unitCode,
+          day: schedule.day.name,
+          timeSlot: schedule.timeSlot.name,
+          semester: schedule.semester
+        }
+      };
+    }
+
+    // Student rows arrive already mapped and hashed by prepareStudentRows
+    const { user, studentProfile } = await AuthService.createStudentAccount(row, tx);
+
+    return {
+      action: 'USER_CREATED',
+      entityType: 'User',
+      entityId: user.id,
+      values: { email: user.email, role: user.role, studentId: studentProfile.studentId }
+    };
+  }
+
+  /**
+   * Validate student rows and hash their passwords before any transaction is open
+   * @param {Array<Object>} rows - Spreadsheet rows
+   * @param {boolean} dryRun - Nothing is kept on a dry run, so passwords are not hashed
+   * @param {Array} errors - Receives the rows that fail validation
+   * @returns {Promise<Array>} Account data per row, or null for rows that failed
+   */
+  static async prepareStudentRows(rows, dryRun, errors) {
+    return Promise.all(rows.map(async (row, index) => {
+      try {
+        const data = {
+          email: row.email,
+          password: row.password,
+          firstName: row.firstName,
+          lastName: row.lastName,
+          program: row.program,
+          yearLevel: row.yearLevel,
+          studentId: row.studentId || null,
+          phone: row.phone || null,
+          address: row.address || '',
+          dateOfBirth: this.parseDate(row.dateOfBirth)
+        };
+
+        AuthService.validateStudentAccount(data);
+
+        return {
+          ...data,
+          passwordHash: dryRun ? DRY_RUN_PASSWORD_HASH : await AuthService.hashPassword(data.password)
+        };
+      } catch (error) {
+        errors.push(this.describeRowError(index + 2, error));
+        return null;
+      }
+    }));
+  }
+
+  static describeRowError(rowNumber, error) {
+    return {
+      row: rowNumber,
+      message: error instanceof AppError ? error.message : 'Row could not be imported',
+      ...(error.details && { details: error.details })
+    };
+  }
+
+  // Schedules are written with codes and names in the file; look up the IDs ScheduleService expects
+  static async resolveScheduleRow(row, tx) {
+    const unit = row.unitCode
+      ? await tx.unit.findUnique({ where: { unitCode: row.unitCode.toUpperCase() } })
+      : null;
+
+    if (!unit) {
+      throw new AppError(`Unit ${row.unitCode || '(blank)'} not found`, 404);
+    }
+
+    const day = row.day
+      ? await tx.day.findFirst({ where: { OR: [{ name: row.day }, { shortName: row.day }] } })
+      : null;
+
+    if (!day) {
+      throw new AppError(`Day ${row.day || '(blank)'} not found`, 404);
+    }
+
+    const startTime = parseTimeOfDay(row.startTime);
+    const endTime = row.endTime ? parseTimeOfDay(row.endTime) : null;
+
+    if (!startTime || (row.endTime && !endTime)) {
+      throw new AppError('Start and end times must be written as HH:MM', 400);
+    }
+
+    const timeSlots = (await tx.timeSlot.findMany({ where: { isActive: true } })).filter(slot =>
+      toMinutesOfDay(slot.startTime) === toMinutesOfDay(startTime) &&
+      (!endTime || toMinutesOfDay(slot.endTime) === toMinutesOfDay(endTime))
+    );
+
+    if (timeSlots.length === 0) {
+      throw new AppError(`No active time slot starts at ${row.startTime}${row.endTime ? ` and ends at ${row.endTime}` : ''}`, 404);
+    }
+
+    if (timeSlots.length > 1) {
+      throw new AppError(`Several time slots start at ${row.startTime}; add an endTime`, 400);
+    }
+
+    const academicYear = row.academicYear || (await SemesterService.getSemesterByName(row.semester, tx)).academicYear;
+
+    const room = row.room
+      ? await tx.room.findUnique({ where: { name: row.room } })
+      : null;
+
+    if (row.room && !room) {
+      throw new AppError(`Room ${row.room} not found`, 404);
+    }
+
+    const tutor = row.tutorEmail
+      ? await tx.tutor.findFirst({ where: { user: { email: row.tutorEmail } } })
+      : null;
+
+    if (row.tutorEmail && !tutor) {
+      throw new AppError(`No tutor profile for ${row.tutorEmail}`, 404);
+    }
+
+    if (row.maxCapacity && !(parseInt(row.maxCapacity) > 0)) {
+      throw new AppError('Max capacity must be a positive number', 400);
+    }
+
+    return {
+      unitId: unit.id,
+      timeSlotId: timeSlots[0].id,
+      dayId: day.id,
+      tutorId: tutor ? tutor.id : null,
+      tutorName: row.tutorName || null,
+      roomId: room ? room.id : null,
+      location: row.location || null,
+      semester: row.semester,
+      academicYear,
+      maxCapacity: row.maxCapacity || null,
+      program: row.program || null,
+      yearLevel: row.yearLevel || null
+    };
+  }
+
+  static parseDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+      throw new AppError(`Invalid date ${value}; use YYYY-MM-DD`, 400);
+    }
+
+    return date.toISOString().slice(0, 10);
+  }
+}
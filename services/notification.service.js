@@ -0,0 +1,356 @@
+// services/notification.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import AuditService from './audit.service.js';
+import EmailService from './email.service.js';
+
+const prisma = new PrismaClient();
+
+const ACTIVE_STATUSES = ['PENDING', 'APPROVED', 'WAITLISTED'];
+
+const enrollmentNotificationInclude = {
+  studentProfile: {
+    select: {
+      userId: true,
+      studentId: true,
+      firstName: true,
+      lastName: true
+    }
+  },
+  schedule: {
+    include: {
+      unit: true,
+      timeSlot: true,
+      day: true
+    }
+  }
+};
+
+// Title and message for each enrollment event
+const ENROLLMENT_MESSAGES = {
+  ENROLLMENT_APPROVED: ({ unit, classTime }) => ({
+    title: `Enrollment approved: ${unit.unitCode}`,
+    message: `Your enrollment in ${unit.unitCode} ${unit.title} has been approved. Class: ${classTime}.`
+  }),
+  ENROLLMENT_REJECTED: ({ unit, enrollment }) => ({
+    title: `Enrollment not approved: ${unit.unitCode}`,
+    message: `Your enrollment request for ${unit.unitCode} ${unit.title} was not approved.` +
+      (enrollment.rejectionReason ? ` Reason: ${enrollment.rejectionReason}` : '')
+  }),
+  ENROLLMENT_WAITLISTED: ({ unit, enrollment }) => ({
+    title: `Waitlisted: ${unit.unitCode}`,
+    message: `${unit.unitCode} ${unit.title} is full. You are number ${enrollment.waitlistPosition} on the waitlist.`
+  }),
+  ENROLLMENT_PROMOTED: ({ unit, classTime }) => ({
+    title: `You're in: ${unit.unitCode}`,
+    message: `A seat opened up in ${unit.unitCode} ${unit.title} and you have been moved off the waitlist. Class: ${classTime}.`
+  })
+};
+
+export default class NotificationService {
+  /**
+   * Get a user's notifications, newest first
+   * @param {number} userId - User ID
+   * @param {Object} filters - unread
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} Notifications, unread count and pagination
+   */
+  static async getNotifications(userId, filters = {}, page = 1, limit = 20) {
+    try {
+      const where = {
+        userId,
+        ...(filters.unread && { readAt: null })
+      };
+
+      const skip = (page - 1) * limit;
+
+      const [notifications, totalCount, unreadCount] = await Promise.all([
+        prisma.notification.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.notification.count({ where }),
+        prisma.notification.count({ where: { userId, readAt: null } })
+      ]);
+
+      return {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalItems: totalCount,
+          hasNext: page < Math.ceil(totalCount / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch notifications', 500);
+    }
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   * @param {number} userId - User ID
+   * @param {number} id - Notification ID
+   * @returns {Promise<Object>} Updated notification
+   */
+  static async markRead(userId, id) {
+    try {
+      const notification = await prisma.notification.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!notification || notification.userId !== userId) {
+        throw new AppError('Notification not found', 404);
+      }
+
+      if (notification.readAt) {
+        return notification;
+      }
+
+      return prisma.notification.update({
+        where: { id: notification.id },
+        data: { readAt: new Date() }
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update notification', 500);
+    }
+  }
+
+  /**
+   * Mark every unread notification of the user as read
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Number of notifications updated
+   */
+  static async markAllRead(userId) {
+    try {
+      const result = await prisma.notification.updateMany({
+        where: { userId, readAt: null },
+        data: { readAt: new Date() }
+      });
+
+      return { updated: result.count };
+    } catch (error) {
+      throw new AppError('Failed to update notifications', 500);
+    }
+  }
+
+  /**
+   * Send an announcement to every active student matching the filters
+   * @param {Object} data - title, message, program, yearLevel, unitId, scheduleId, semester
+   * @param {number} adminId - Admin sending the broadcast
+   * @returns {Promise<Object>} Broadcast with its recipient count
+   */
+  static async broadcast(data, adminId) {
+    try {
+      const title = data.title?.trim();
+      const message = data.message?.trim();
+
+      if (!title || !message) {
+        throw new AppError('Title and message are required', 400);
+      }
+
+      const filters = {
+        program: data.program || null,
+        yearLevel: data.yearLevel ? parseInt(data.yearLevel) : null,
+        unitId: data.unitId ? parseInt(data.unitId) : null,
+        scheduleId: data.scheduleId ? parseInt(data.scheduleId) : null,
+        semester: data.semester || null
+      };
+
+      if (Object.values(filters).some(value => Number.isNaN(value))) {
+        throw new AppError('Year level, unit ID and schedule ID must be numbers', 400);
+      }
+
+      if (filters.semester && !filters.unitId && !filters.scheduleId) {
+        throw new AppError('Semester narrows a unit broadcast; give a unit ID with it', 400);
+      }
+
+      const recipients = await prisma.studentProfile.findMany({
+        where: {
+          user: { isActive: true },
+          ...(filters.program && { program: filters.program }),
+          ...(filters.yearLevel && { yearLevel: filters.yearLevel }),
+          // Unit and schedule audiences are the students holding a seat or waitlist spot
+          ...((filters.unitId || filters.scheduleId) && {
+            enrollments: {
+              some: {
+                status: { in: ACTIVE_STATUSES },
+                schedule: {
+                  isActive: true,
+                  ...(filters.scheduleId && { id: filters.scheduleId }),
+                  ...(filters.unitId && { unitId: filters.unitId }),
+                  ...(filters.semester && { semester: filters.semester })
+                }
+              }
+            }
+          })
+        },
+        select: { userId: true }
+      });
+
+      if (recipients.length === 0) {
+        throw new AppError('No students match this audience', 400);
+      }
+
+      const broadcast = await prisma.$transaction(async (tx) => {
+        const created = await tx.broadcast.create({
+          data: {
+            title,
+            message,
+            filters,
+            recipientCount: recipients.length,
+            sentById: adminId
+          }
+        });
+
+        await tx.notification.createMany({
+          data: recipients.map(recipient => ({
+            userId: recipient.userId,
+            type: 'BROADCAST',
+            title,
+            message,
+            broadcastId: created.id
+          }))
+        });
+
+        return created;
+      });
+
+      await AuditService.log({
+        action: 'NOTIFICATION_BROADCAST',
+        entityType: 'Broadcast',
+        entityId: broadcast.id,
+        newValues: { title, filters, recipientCount: broadcast.recipientCount },
+        userId: adminId
+      });
+
+      return broadcast;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to send broadcast', 500);
+    }
+  }
+
+  /**
+   * Get sent broadcasts, newest first
+   * @returns {Promise<Array>} Broadcasts
+   */
+  static async getBroadcasts() {
+    try {
+      const broadcasts = await prisma.broadcast.findMany({
+        orderBy: { createdAt: 'desc' },
+        include: {
+          sentBy: { select: { id: true, email: true } },
+          _count: {
+            select: {
+              notifications: { where: { readAt: { not: null } } }
+            }
+          }
+        }
+      });
+
+      return broadcasts.map(({ _count, ...broadcast }) => ({
+        ...broadcast,
+        readCount: _count.notifications
+      }));
+    } catch (error) {
+      throw new AppError('Failed to fetch broadcasts', 500);
+    }
+  }
+
+  /**
+   * Notify about an enrollment event: the student for status changes, admins for new requests
+   * @param {Object} client - Prisma client or transaction client
+   * @param {number} enrollmentId - Enrollment ID
+   * @param {string} type - Notification type
+   * @returns {Promise<void>}
+   */
+  static async notifyEnrollment(client, enrollmentId, type) {
+    const enrollment = await client.enrollment.findUnique({
+      where: { id: enrollmentId },
+      include: enrollmentNotificationInclude
+    });
+
+    const { studentProfile, schedule } = enrollment;
+    const data = { enrollmentId: enrollment.id, scheduleId: schedule.id };
+
+    if (type === 'ENROLLMENT_REQUESTED') {
+      const admins = await client.user.findMany({
+        where: { role: 'ADMIN', isActive: true },
+        select: { id: true }
+      });
+
+      await client.notification.createMany({
+        data: admins.map(admin => ({
+          userId: admin.id,
+          type,
+          title: `New enrollment request: ${schedule.unit.unitCode}`,
+          message: `${studentProfile.firstName} ${studentProfile.lastName} (${studentProfile.studentId}) asked to enroll in ` +
+            `${schedule.unit.unitCode} ${schedule.unit.title}, ${EmailService.describeClass(schedule)}.`,
+          data
+        }))
+      });
+      return;
+    }
+
+    const { title, message } = ENROLLMENT_MESSAGES[type]({
+      enrollment,
+      unit: schedule.unit,
+      classTime: EmailService.describeClass(schedule)
+    });
+
+    await client.notification.create({
+      data: {
+        userId: studentProfile.userId,
+        type,
+        title,
+        message,
+        data
+      }
+    });
+  }
+
+  /**
+   * Notify every student holding a seat or waitlist spot about a schedule change
+   * @param {Object} client - Prisma client or transaction client
+   * @param {Object} before - Schedule before the change, with timeSlot and day
+   * @param {Object} after - Schedule after the change, with unit, timeSlot, day and room
+   * @returns {Promise<void>}
+   */
+  static async notifyScheduleChanged(client, before, after) {
+    const changes = EmailService.describeScheduleChanges(before, after);
+
+    if (changes.length === 0) {
+      return;
+    }
+
+    const enrollments = await client.enrollment.findMany({
+      where: {
+        scheduleId: after.id,
+        status: { in: ACTIVE_STATUSES }
+      },
+      select: { studentProfile: { select: { userId: true } } }
+    });
+
+    await client.notification.createMany({
+      data: enrollments.map(enrollment => ({
+        userId: enrollment.studentProfile.userId,
+        type: 'SCHEDULE_CHANGED',
+        title: `Class changed: ${after.unit.unitCode}`,
+        message: `${changes.join('. ')}. Class now: ${EmailService.describeClass(after)}.`,
+        data: { scheduleId: after.id }
+      }))
+    });
+  }
+}
@@ -0,0 +1,107 @@
+// services/realtime.service.js
+
+import { EventEmitter } from 'events';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// In-memory fan-out for this process only; every open event stream listens here
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+export default class RealtimeService {
+  /**
+   * Listen for realtime events
+   * @param {Function} listener - Called with { type, data } for seat changes and { type, studentProfileId, data } for enrollments
+   * @returns {Function} Unsubscribe
+   */
+  static subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+  }
+
+  /**
+   * Number of open event streams
+   * @returns {number} Listener count
+   */
+  static getListenerCount() {
+    return bus.listenerCount('event');
+  }
+
+  /**
+   * Get seat counts for schedules, in the shape pushed to clients
+   * @param {Array<number>} scheduleIds - Schedule IDs
+   * @returns {Promise<Array>} Seat availability per schedule
+   */
+  static async getSeatAvailability(scheduleIds) {
+    const schedules = await prisma.schedule.findMany({
+      where: { id: { in: scheduleIds } },
+      include: {
+        unit: true,
+        enrollments: {
+          where: { status: { in: ['APPROVED', 'WAITLISTED'] } },
+          select: { status: true }
+        }
+      }
+    });
+
+    return schedules.map(schedule => {
+      const capacity = schedule.maxCapacity || schedule.unit.capacity;
+      const approvedEnrollments = schedule.enrollments.filter(enrollment => enrollment.status === 'APPROVED').length;
+
+      return {
+        scheduleId: schedule.id,
+        capacity,
+        approvedEnrollments,
+        availableSpots: schedule.isActive ? Math.max(capacity - approvedEnrollments, 0) : 0,
+        waitlisted: schedule.enrollments.length - approvedEnrollments
+      };
+    });
+  }
+
+  /**
+   * Push current seat availability for schedules whose seats may have changed.
+   * Runs after the change is committed and never throws, so a push failure cannot fail the request.
+   * @param {Array<number>} scheduleIds - Schedule IDs
+   * @returns {Promise<void>}
+   */
+  static async publishSeats(scheduleIds) {
+    if (this.getListenerCount() === 0) {
+      return;
+    }
+
+    try {
+      const availability = await this.getSeatAvailability([...new Set(scheduleIds)]);
+
+      for (const seats of availability) {
+        bus.emit('event', { type: 'seats', data: seats });
+      }
+    } catch (error) {
+      console.error('Realtime publish error:', error);
+    }
+  }
+
+  /**
+   * Push enrollment status changes to the students they belong to
+   * @param {Array<Object|null>} enrollments - Changed enrollments; nulls are skipped
+   * @returns {void}
+   */
+  static publishEnrollments(enrollments) {
+    for (const enrollment of enrollments) {
+      if (!enrollment) {
+        continue;
+      }
+
+      bus.emit('event', {
+        type: 'enrollment',
+        studentProfileId: enrollment.studentProfileId,
+        data: {
+          enrollmentId: enrollment.id,
+          scheduleId: enrollment.scheduleId,
+          status: enrollment.status,
+          waitlistPosition: enrollment.waitlistPosition
+        }
+      });
+    }
+  }
+}
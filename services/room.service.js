@@ -0,0 +1,297 @@
+// services/room.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import AuditService from './audit.service.js';
+
+const prisma = new PrismaClient();
+
+export default class RoomService {
+  /**
+   * Get all rooms
+   * @param {Object} filters - Filter options
+   * @returns {Promise<Array>} Rooms
+   */
+  static async getAllRooms(filters = {}) {
+    try {
+      const where = {
+        ...(!filters.includeInactive && { isActive: true }),
+        ...(filters.building && { building: filters.building }),
+        ...(filters.minSeats && { seats: { gte: parseInt(filters.minSeats) } }),
+        ...(filters.feature && { features: { array_contains: filters.feature } })
+      };
+
+      const rooms = await prisma.room.findMany({
+        where,
+        orderBy: { name: 'asc' },
+        include: {
+          _count: {
+            select: {
+              schedules: {
+                where: { isActive: true }
+              }
+            }
+          }
+        }
+      });
+
+      return rooms;
+    } catch (error) {
+      throw new AppError('Failed to fetch rooms', 500);
+    }
+  }
+
+  /**
+   * Get room by ID
+   * @param {number} id - Room ID
+   * @returns {Promise<Object>} Room details with active schedules
+   */
+  static async getRoomById(id) {
+    try {
+      const room = await prisma.room.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          schedules: {
+            where: { isActive: true },
+            include: {
+              unit: true,
+              timeSlot: true,
+              day: true
+            },
+            orderBy: [
+              { day: { dayOrder: 'asc' } },
+              { timeSlot: { startTime: 'asc' } }
+            ]
+          }
+        }
+      });
+
+      if (!room) {
+        throw new AppError('Room not found', 404);
+      }
+
+      return room;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch room', 500);
+    }
+  }
+
+  /**
+   * Create new room
+   * @param {Object} data - name, building, seats, features
+   * @returns {Promise<Object>} Created room
+   */
+  static async createRoom(data) {
+    try {
+      const existingRoom = await prisma.room.findUnique({
+        where: { name: data.name }
+      });
+
+      if (existingRoom) {
+        throw new AppError('Room name already exists', 409);
+      }
+
+      const room = await prisma.room.create({
+        data: {
+          name: data.name,
+          building: data.building || null,
+          seats: this.parseSeats(data.seats),
+          features: this.parseFeatures(data.features) ?? undefined
+        }
+      });
+
+      await AuditService.log({
+        action: 'ROOM_CREATED',
+        entityType: 'Room',
+        entityId: room.id,
+        newValues: room
+      });
+
+      return room;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create room', 500);
+    }
+  }
+
+  /**
+   * Update room
+   * @param {number} id - Room ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object>} Updated room
+   */
+  static async updateRoom(id, data) {
+    try {
+      const room = await prisma.room.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!room) {
+        throw new AppError('Room not found', 404);
+      }
+
+      const updateData = {};
+
+      if (data.name && data.name !== room.name) {
+        const existingRoom = await prisma.room.findUnique({
+          where: { name: data.name }
+        });
+
+        if (existingRoom) {
+          throw new AppError('Room name already exists', 409);
+        }
+
+        updateData.name = data.name;
+      }
+
+      if (data.building !== undefined) updateData.building = data.building || null;
+      if (data.features !== undefined) updateData.features = this.parseFeatures(data.features) ?? null;
+
+      if (data.seats !== undefined) {
+        updateData.seats = this.parseSeats(data.seats);
+
+        // Scheduled classes must still fit after the room shrinks
+        const schedules = await prisma.schedule.findMany({
+          where: { roomId: room.id, isActive: true },
+          include: { unit: true }
+        });
+
+        const tooLarge = schedules.filter(schedule => (schedule.maxCapacity || schedule.unit.capacity) > updateData.seats);
+
+        if (tooLarge.length > 0) {
+          throw new AppError(
+            `Room would be too small for scheduled classes: ${tooLarge.map(schedule => schedule.unit.unitCode).join(', ')}`,
+            400
+          );
+        }
+      }
+
+      const updatedRoom = await prisma.$transaction(async (tx) => {
+        const updated = await tx.room.update({
+          where: { id: room.id },
+          data: updateData
+        });
+
+        if (updateData.name) {
+          await tx.schedule.updateMany({
+            where: { roomId: room.id },
+            data: { location: updated.name }
+          });
+        }
+
+        return updated;
+      });
+
+      await AuditService.logChanges(
+        { action: 'ROOM_UPDATED', entityType: 'Room', entityId: room.id },
+        room,
+        updatedRoom
+      );
+
+      return updatedRoom;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update room', 500);
+    }
+  }
+
+  /**
+   * Deactivate room
+   * @param {number} id - Room ID
+   * @returns {Promise<Object>} Deactivated room
+   */
+  static async deactivateRoom(id) {
+    try {
+      const room = await prisma.room.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!room) {
+        throw new AppError('Room not found', 404);
+      }
+
+      const scheduleCount = await prisma.schedule.count({
+        where: { roomId: room.id, isActive: true }
+      });
+
+      if (scheduleCount > 0) {
+        throw new AppError('Cannot deactivate a room with active schedules', 400);
+      }
+
+      const updatedRoom = await prisma.room.update({
+        where: { id: room.id },
+        data: { isActive: false }
+      });
+
+      await AuditService.log({
+        action: 'ROOM_DEACTIVATED',
+        entityType: 'Room',
+        entityId: room.id,
+        oldValues: { isActive: room.isActive },
+        newValues: { isActive: false }
+      });
+
+      return updatedRoom;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to deactivate room', 500);
+    }
+  }
+
+  /**
+   * Load an active room and make sure a class of the given size fits in it
+   * @param {number} roomId - Room ID
+   * @param {number} capacity - Effective schedule capacity
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Room
+   */
+  static async assertFits(roomId, capacity, client = prisma) {
+    const room = await client.room.findUnique({
+      where: { id: parseInt(roomId) }
+    });
+
+    if (!room || !room.isActive) {
+      throw new AppError('Room not found or inactive', 404);
+    }
+
+    if (capacity > room.seats) {
+      throw new AppError(
+        `Capacity ${capacity} exceeds the ${room.seats} seats in ${room.name}; set a lower max capacity`,
+        400
+      );
+    }
+
+    return room;
+  }
+
+  static parseSeats(value) {
+    const seats = parseInt(value);
+
+    if (isNaN(seats) || seats <= 0) {
+      throw new AppError('Seats must be a positive number', 400);
+    }
+
+    return seats;
+  }
+
+  static parseFeatures(features) {
+    if (features === undefined || features === null) {
+      return null;
+    }
+
+    if (!Array.isArray(features) || features.some(feature => typeof feature !== 'string' || !feature.trim())) {
+      throw new AppError('Features must be a list of names', 400);
+    }
+
+    return [...new Set(features.map(feature => feature.trim().toLowerCase()))];
+  }
+}
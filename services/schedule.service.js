@@ -3,6 +3,15 @@
 
 import { PrismaClient } from '@prisma/client';
 import { AppError } from '../utils/errors.js';
+import SemesterService from './semester.service.js';
+import AuditService from './audit.service.js';
+import TutorService from './tutor.service.js';
+import RoomService from './room.service.js';
+import EmailService from './email.service.js';
+import NotificationService from './notification.service.js';
+import RealtimeService from './realtime.service.js';
+import EnrollmentService from './enrollment.service.js';
+import { timeRangesOverlap, formatTimeOfDay } from '../utils/time.js';
 
 const prisma = new PrismaClient();
 
@@ -16,20 +25,7 @@ class ScheduleService {
    */
   static async getAllSchedules(filters = {}, page = 1, limit = 20) {
     try {
-      const where = {
-        isActive: true,
-        ...(filters.unitId && { unitId: parseInt(filters.unitId) }),
-        ...(filters.dayId && { dayId: parseInt(filters.dayId) }),
-        ...(filters.timeSlotId && { timeSlotId: parseInt(filters.timeSlotId) }),
-        ...(filters.semester && { semester: filters.semester }),
-        ...(filters.academicYear && { academicYear: parseInt(filters.academicYear) }),
-        ...(filters.location && { 
-          location: { contains: filters.location, mode: 'insensitive' } 
-        }),
-        ...(filters.tutorName && { 
-          tutorName: { contains: filters.tutorName, mode: 'insensitive' } 
-        })
-      };
+      const where = this.buildScheduleFilter(filters);
 
       const skip = (page - 1) * limit;
       
@@ -47,6 +43,8 @@ class ScheduleService {
             unit: true,
             timeSlot: true,
             day: true,
+            tutor: true,
+            room: true,
             _count: {
               select: {
                 enrollments: {
@@ -85,6 +83,36 @@ class ScheduleService {
     }
   }
 
+  /**
+   * Build the schedule filter shared by listing and exports
+   * @param {Object} filters - Filter options from the schedule list endpoint
+   * @returns {Object} Prisma where clause
+   */
+  static buildScheduleFilter(filters = {}) {
+    return {
+      isActive: true,
+      ...(filters.unitId && { unitId: parseInt(filters.unitId) }),
+      ...(filters.dayId && { dayId: parseInt(filters.dayId) }),
+      ...(filters.timeSlotId && { timeSlotId: parseInt(filters.timeSlotId) }),
+      ...(filters.semester && { semester: filters.semester }),
+      ...(filters.academicYear && { academicYear: parseInt(filters.academicYear) }),
+      ...(filters.location && { 
+        location: { contains: filters.location } 
+      }),
+      ...(filters.roomId && { roomId: parseInt(filters.roomId) }),
+      ...(filters.program && { program: filters.program }),
+      ...(filters.yearLevel && { yearLevel: parseInt(filters.yearLevel) }),
+      ...(filters.tutorId && { tutorId: parseInt(filters.tutorId) }),
+      ...(filters.tutorName && { 
+        OR: [
+          { tutorName: { contains: filters.tutorName } },
+          { tutor: { is: { firstName: { contains: filters.tutorName } } } },
+          { tutor: { is: { lastName: { contains: filters.tutorName } } } }
+        ]
+      })
+    };
+  }
+
   /**
    * Get schedule by ID
    * @param {number} id - Schedule ID
@@ -98,6 +126,8 @@ class ScheduleService {
           unit: true,
           timeSlot: true,
           day: true,
+          tutor: true,
+          room: true,
           enrollments: {
             include: {
               studentProfile: {
@@ -153,84 +183,139 @@ class ScheduleService {
    */
   static async createSchedule(data) {
     try {
-      const { unitId, timeSlotId, dayId, tutorName, location, semester, academicYear, maxCapacity } = data;
-
-      // Validate required fields
-      if (!unitId || !timeSlotId || !dayId || !semester || !academicYear) {
-        throw new AppError('Missing required fields', 400);
-      }
+      const schedule = await this.insertSchedule(data);
 
-      // Check if unit exists and is active
-      const unit = await prisma.unit.findUnique({
-        where: { id: parseInt(unitId), isActive: true }
+      await AuditService.log({
+        action: 'SCHEDULE_CREATED',
+        entityType: 'Schedule',
+        entityId: schedule.id,
+        newValues: schedule
       });
 
-      if (!unit) {
-        throw new AppError('Unit not found or inactive', 404);
+      return schedule;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
       }
+      throw new AppError('Failed to create schedule', 500);
+    }
+  }
 
-      // Check if time slot exists and is active
-      const timeSlot = await prisma.timeSlot.findUnique({
-        where: { id: parseInt(timeSlotId), isActive: true }
-      });
+  /**
+   * Validate and create a schedule without auditing, so imports can run it inside a transaction
+   * @param {Object} data - Schedule data
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Created schedule
+   */
+  static async insertSchedule(data, client = prisma) {
+    const { unitId, timeSlotId, dayId, tutorId, tutorName, roomId, location, semester, academicYear, maxCapacity, program, yearLevel } = data;
 
-      if (!timeSlot) {
-        throw new AppError('Time slot not found or inactive', 404);
-      }
+    // Validate required fields
+    if (!unitId || !timeSlotId || !dayId || !semester || !academicYear) {
+      throw new AppError('Missing required fields', 400);
+    }
 
-      // Check if day exists
-      const day = await prisma.day.findUnique({
-        where: { id: parseInt(dayId) }
-      });
+    // Schedule.semester must name a real semester of the same academic year
+    const semesterRecord = await SemesterService.getSemesterByName(semester, client);
 
-      if (!day) {
-        throw new AppError('Day not found', 404);
-      }
+    if (semesterRecord.academicYear !== parseInt(academicYear)) {
+      throw new AppError(`Semester ${semester} belongs to academic year ${semesterRecord.academicYear}`, 400);
+    }
 
-      // Check for duplicate schedule
-      const existingSchedule = await prisma.schedule.findFirst({
-        where: {
-          unitId: parseInt(unitId),
-          timeSlotId: parseInt(timeSlotId),
-          dayId: parseInt(dayId),
-          semester,
-          academicYear: parseInt(academicYear),
-          isActive: true
-        }
-      });
+    // Check if unit exists and is active
+    const unit = await client.unit.findUnique({
+      where: { id: parseInt(unitId), isActive: true }
+    });
 
-      if (existingSchedule) {
-        throw new AppError('Schedule already exists for this combination', 409);
+    if (!unit) {
+      throw new AppError('Unit not found or inactive', 404);
+    }
+
+    // The class must fit in its room
+    const room = roomId
+      ? await RoomService.assertFits(roomId, maxCapacity ? parseInt(maxCapacity) : unit.capacity, client)
+      : null;
+
+    // Check if time slot exists and is active
+    const timeSlot = await client.timeSlot.findUnique({
+      where: { id: parseInt(timeSlotId), isActive: true }
+    });
+
+    if (!timeSlot) {
+      throw new AppError('Time slot not found or inactive', 404);
+    }
+
+    // Check if day exists
+    const day = await client.day.findUnique({
+      where: { id: parseInt(dayId) }
+    });
+
+    if (!day) {
+      throw new AppError('Day not found', 404);
+    }
+
+    // Check for duplicate schedule
+    const existingSchedule = await client.schedule.findFirst({
+      where: {
+        unitId: parseInt(unitId),
+        timeSlotId: parseInt(timeSlotId),
+        dayId: parseInt(dayId),
+        semester,
+        academicYear: parseInt(academicYear),
+        isActive: true
       }
+    });
 
-      // Check for time conflicts on the same day
-      await this.checkScheduleConflicts(parseInt(timeSlotId), parseInt(dayId), semester, parseInt(academicYear));
+    if (existingSchedule) {
+      throw new AppError('Schedule already exists for this combination', 409);
+    }
 
-      const schedule = await prisma.schedule.create({
-        data: {
-          unitId: parseInt(unitId),
-          timeSlotId: parseInt(timeSlotId),
+    // Room, tutor and cohort must all be free at that time
+    await this.checkScheduleConflicts({
+      timeSlotId,
+      dayId,
+      semester,
+      academicYear,
+      roomId: room ? room.id : null,
+      tutorId,
+      program,
+      yearLevel
+    }, client);
+
+    // The tutor must be available at that time and within their teaching load
+    const tutor = tutorId
+      ? await TutorService.assertCanTeach({
+          tutorId,
+          timeSlot,
           dayId: parseInt(dayId),
-          tutorName: tutorName || null,
-          location: location || null,
           semester,
-          academicYear: parseInt(academicYear),
-          maxCapacity: maxCapacity ? parseInt(maxCapacity) : null
-        },
-        include: {
-          unit: true,
-          timeSlot: true,
-          day: true
-        }
-      });
+          academicYear: parseInt(academicYear)
+        }, client)
+      : null;
 
-      return schedule;
-    } catch (error) {
-      if (error instanceof AppError) {
-        throw error;
+    return client.schedule.create({
+      data: {
+        unitId: parseInt(unitId),
+        timeSlotId: parseInt(timeSlotId),
+        dayId: parseInt(dayId),
+        tutorId: tutor ? tutor.id : null,
+        tutorName: tutor ? TutorService.getDisplayName(tutor) : tutorName || null,
+        roomId: room ? room.id : null,
+        location: room ? room.name : location || null,
+        semester,
+        academicYear: parseInt(academicYear),
+        maxCapacity: maxCapacity ? parseInt(maxCapacity) : null,
+        program: program || null,
+        yearLevel: yearLevel ? parseInt(yearLevel) : null
+      },
+      include: {
+        unit: true,
+        timeSlot: true,
+        day: true,
+        tutor: true,
+        room: true
       }
-      throw new AppError('Failed to create schedule', 500);
-    }
+    });
   }
 
   /**
@@ -243,7 +328,12 @@ class ScheduleService {
     try {
       const schedule = await prisma.schedule.findUnique({
         where: { id: parseInt(id) },
-        include: { enrollments: { where: { status: { in: ['PENDING', 'APPROVED', 'WAITLISTED'] } } } }
+        include: {
+          unit: true,
+          timeSlot: true,
+          day: true,
+          enrollments: { where: { status: { in: ['PENDING', 'APPROVED', 'WAITLISTED'] } } }
+        }
       });
 
       if (!schedule) {
@@ -259,8 +349,22 @@ class ScheduleService {
 
       const updateData = {};
 
-      if (data.tutorName !== undefined) updateData.tutorName = data.tutorName;
-      if (data.location !== undefined) updateData.location = data.location;
+      // A linked tutor owns the display name; free text is only kept for unlinked schedules
+      const tutorId = data.tutorId !== undefined ? (data.tutorId ? parseInt(data.tutorId) : null) : schedule.tutorId;
+
+      if (data.tutorId !== undefined) updateData.tutorId = tutorId;
+      if (!tutorId && (data.tutorName !== undefined || data.tutorId !== undefined)) {
+        updateData.tutorName = data.tutorName || null;
+      }
+
+      // Likewise a linked room owns the location
+      const roomId = data.roomId !== undefined ? (data.roomId ? parseInt(data.roomId) : null) : schedule.roomId;
+
+      if (data.roomId !== undefined) updateData.roomId = roomId;
+      if (!roomId && (data.location !== undefined || data.roomId !== undefined)) {
+        updateData.location = data.location || null;
+      }
+
       if (data.maxCapacity !== undefined) {
         const newCapacity = parseInt(data.maxCapacity);
         const approvedEnrollments = schedule.enrollments.filter(e => e.status === 'APPROVED').length;
@@ -271,6 +375,13 @@ class ScheduleService {
         updateData.maxCapacity = newCapacity;
       }
 
+      if (roomId && (data.roomId !== undefined || data.maxCapacity !== undefined)) {
+        const capacity = (updateData.maxCapacity !== undefined ? updateData.maxCapacity : schedule.maxCapacity) || schedule.unit.capacity;
+        const room = await RoomService.assertFits(roomId, capacity);
+
+        updateData.location = room.name;
+      }
+
       // Handle time slot and day updates (only if no active enrollments)
       if (data.timeSlotId && !hasActiveEnrollments) {
         const timeSlot = await prisma.timeSlot.findUnique({
@@ -296,30 +407,83 @@ class ScheduleService {
         updateData.dayId = parseInt(data.dayId);
       }
 
-      // Check for conflicts if time or day is being updated
-      if (updateData.timeSlotId || updateData.dayId) {
-        const checkTimeSlotId = updateData.timeSlotId || schedule.timeSlotId;
-        const checkDayId = updateData.dayId || schedule.dayId;
-        
-        await this.checkScheduleConflicts(
-          checkTimeSlotId, 
-          checkDayId, 
-          schedule.semester, 
-          schedule.academicYear,
-          parseInt(id)
-        );
+      if (data.program !== undefined) updateData.program = data.program || null;
+      if (data.yearLevel !== undefined) updateData.yearLevel = data.yearLevel ? parseInt(data.yearLevel) : null;
+
+      // Check for conflicts if time, day or any shared resource is being updated
+      const resourceChanged = ['roomId', 'tutorId', 'program', 'yearLevel'].some(field => data[field] !== undefined);
+
+      if (updateData.timeSlotId || updateData.dayId || resourceChanged) {
+        await this.checkScheduleConflicts({
+          timeSlotId: updateData.timeSlotId || schedule.timeSlotId,
+          dayId: updateData.dayId || schedule.dayId,
+          semester: schedule.semester,
+          academicYear: schedule.academicYear,
+          roomId,
+          tutorId,
+          program: updateData.program !== undefined ? updateData.program : schedule.program,
+          yearLevel: updateData.yearLevel !== undefined ? updateData.yearLevel : schedule.yearLevel,
+          excludeId: schedule.id
+        });
       }
 
-      const updatedSchedule = await prisma.schedule.update({
-        where: { id: parseInt(id) },
-        data: updateData,
-        include: {
-          unit: true,
-          timeSlot: true,
-          day: true
+      if (tutorId && (data.tutorId !== undefined || updateData.timeSlotId || updateData.dayId)) {
+        const timeSlot = await prisma.timeSlot.findUnique({
+          where: { id: updateData.timeSlotId || schedule.timeSlotId }
+        });
+
+        const tutor = await TutorService.assertCanTeach({
+          tutorId,
+          timeSlot,
+          dayId: updateData.dayId || schedule.dayId,
+          semester: schedule.semester,
+          academicYear: schedule.academicYear,
+          excludeScheduleId: schedule.id
+        });
+
+        updateData.tutorName = TutorService.getDisplayName(tutor);
+      }
+
+      const updatedSchedule = await prisma.$transaction(async (tx) => {
+        // Seats may have been approved since the check above
+        if (updateData.maxCapacity !== undefined) {
+          const seats = await EnrollmentService.lockSeats(tx, schedule.id);
+
+          if (updateData.maxCapacity < seats.approved) {
+            throw new AppError(`Cannot set capacity below current approved enrollments (${seats.approved})`, 400);
+          }
         }
+
+        const updated = await tx.schedule.update({
+          where: { id: parseInt(id) },
+          data: updateData,
+          include: {
+            unit: true,
+            timeSlot: true,
+            day: true,
+            tutor: true,
+            room: true
+          }
+        });
+
+        // Students holding a seat or waitlist spot hear about time, room and tutor changes
+        await EmailService.queueScheduleChangedEmails(tx, schedule, updated);
+        await NotificationService.notifyScheduleChanged(tx, schedule, updated);
+
+        return updated;
       });
 
+      const { enrollments, unit, ...previousSchedule } = schedule;
+      await AuditService.logChanges(
+        { action: 'SCHEDULE_UPDATED', entityType: 'Schedule', entityId: schedule.id },
+        previousSchedule,
+        updatedSchedule
+      );
+
+      if (updateData.maxCapacity !== undefined) {
+        RealtimeService.publishSeats([schedule.id]);
+      }
+
       return updatedSchedule;
     } catch (error) {
       if (error instanceof AppError) {
@@ -358,6 +522,16 @@ class ScheduleService {
         data: { isActive: false }
       });
 
+      await AuditService.log({
+        action: 'SCHEDULE_DELETED',
+        entityType: 'Schedule',
+        entityId: schedule.id,
+        oldValues: { isActive: schedule.isActive },
+        newValues: { isActive: false }
+      });
+
+      RealtimeService.publishSeats([schedule.id]);
+
     } catch (error) {
       if (error instanceof AppError) {
         throw error;
@@ -407,45 +581,107 @@ class ScheduleService {
   }
 
   /**
-   * Check for schedule conflicts
-   * @param {number} timeSlotId - Time slot ID
-   * @param {number} dayId - Day ID
-   * @param {string} semester - Semester
-   * @param {number} academicYear - Academic year
-   * @param {number} excludeId - Schedule ID to exclude
-   * @returns {Promise<void>}
+   * Find schedules that would clash with a proposed class. Two classes clash when they
+   * overlap in time on the same day of the same semester and share a room, a tutor or a cohort.
+   * @param {Object} params - timeSlotId, dayId, semester, academicYear, roomId, tutorId, program, yearLevel, excludeId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Conflict report
    */
-  static async checkScheduleConflicts(timeSlotId, dayId, semester, academicYear, excludeId = null) {
+  static async findScheduleConflicts(params, client = prisma) {
     try {
-      const where = {
-        timeSlotId: parseInt(timeSlotId),
-        dayId: parseInt(dayId),
-        semester,
-        academicYear: parseInt(academicYear),
-        isActive: true
+      const timeSlotId = parseInt(params.timeSlotId);
+      const dayId = parseInt(params.dayId);
+      const academicYear = parseInt(params.academicYear);
+      const roomId = params.roomId ? parseInt(params.roomId) : null;
+      const tutorId = params.tutorId ? parseInt(params.tutorId) : null;
+      const program = params.program || null;
+      const yearLevel = params.yearLevel ? parseInt(params.yearLevel) : null;
+
+      const timeSlot = await client.timeSlot.findUnique({
+        where: { id: timeSlotId }
+      });
+
+      if (!timeSlot) {
+        throw new AppError('Time slot not found', 404);
+      }
+
+      const resources = [
+        ...(roomId ? [{ roomId }] : []),
+        ...(tutorId ? [{ tutorId }] : []),
+        ...(program ? [{ program }] : [])
+      ];
+
+      const report = {
+        hasConflict: false,
+        checked: { timeSlotId, dayId, semester: params.semester, academicYear, roomId, tutorId, program, yearLevel },
+        conflicts: []
       };
 
-      if (excludeId) {
-        where.NOT = { id: excludeId };
+      if (resources.length === 0) {
+        return report;
       }
 
-      const conflicts = await prisma.schedule.findMany({
-        where,
+      const candidates = await client.schedule.findMany({
+        where: {
+          dayId,
+          semester: params.semester,
+          academicYear,
+          isActive: true,
+          OR: resources,
+          ...(params.excludeId && { NOT: { id: parseInt(params.excludeId) } })
+        },
         include: {
           unit: true,
           timeSlot: true,
-          day: true
+          day: true,
+          room: true,
+          tutor: true
         }
       });
 
-      if (conflicts.length > 0) {
-        const conflictDetails = conflicts.map(c => 
-          `${c.unit.unitCode} on ${c.day.name} at ${c.timeSlot.name}`
-        ).join(', ');
-        
-        throw new AppError(`Schedule conflicts with existing schedules: ${conflictDetails}`, 409);
+      for (const candidate of candidates) {
+        if (!timeRangesOverlap(candidate.timeSlot.startTime, candidate.timeSlot.endTime, timeSlot.startTime, timeSlot.endTime)) {
+          continue;
+        }
+
+        const sharedResources = [];
+
+        if (roomId && candidate.roomId === roomId) {
+          sharedResources.push('ROOM');
+        }
+
+        if (tutorId && candidate.tutorId === tutorId) {
+          sharedResources.push('TUTOR');
+        }
+
+        // Without a year level on either side the whole program is one cohort
+        if (program && candidate.program === program &&
+          (!yearLevel || !candidate.yearLevel || candidate.yearLevel === yearLevel)) {
+          sharedResources.push('COHORT');
+        }
+
+        if (sharedResources.length === 0) {
+          continue;
+        }
+
+        report.conflicts.push({
+          scheduleId: candidate.id,
+          sharedResources,
+          unitCode: candidate.unit.unitCode,
+          unitTitle: candidate.unit.title,
+          day: candidate.day.name,
+          startTime: formatTimeOfDay(candidate.timeSlot.startTime),
+          endTime: formatTimeOfDay(candidate.timeSlot.endTime),
+          room: candidate.room ? { id: candidate.room.id, name: candidate.room.name } : null,
+          tutor: candidate.tutor ? { id: candidate.tutor.id, name: TutorService.getDisplayName(candidate.tutor) } : null,
+          program: candidate.program,
+          yearLevel: candidate.yearLevel
+        });
       }
 
+      report.hasConflict = report.conflicts.length > 0;
+
+      return report;
     } catch (error) {
       if (error instanceof AppError) {
         throw error;
@@ -454,6 +690,24 @@ class ScheduleService {
     }
   }
 
+  /**
+   * Reject a class that clashes with existing schedules
+   * @param {Object} params - As for findScheduleConflicts
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<void>}
+   */
+  static async checkScheduleConflicts(params, client = prisma) {
+    const report = await this.findScheduleConflicts(params, client);
+
+    if (report.hasConflict) {
+      const conflictDetails = report.conflicts.map(c =>
+        `${c.unitCode} on ${c.day} ${c.startTime}-${c.endTime} (${c.sharedResources.join(', ').toLowerCase()})`
+      ).join('; ');
+
+      throw new AppError(`Schedule conflicts with existing schedules: ${conflictDetails}`, 409, report);
+    }
+  }
+
   /**
    * Get available schedules for enrollment
    * @param {Object} filters - Filter options
@@ -469,8 +723,8 @@ class ScheduleService {
         ...(filters.program && { 
           unit: { 
             OR: [
-              { title: { contains: filters.program, mode: 'insensitive' } },
-              { description: { contains: filters.program, mode: 'insensitive' } }
+              { title: { contains: filters.program } },
+              { description: { contains: filters.program } }
             ]
           }
         })
@@ -575,4 +829,4 @@ class ScheduleService {
   }
 }
 
-export default { ScheduleService };
\ No newline at end of file
+export default ScheduleService;
\ No newline at end of file
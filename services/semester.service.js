@@ -0,0 +1,341 @@
+// services/semester.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import AuditService from './audit.service.js';
+
+const prisma = new PrismaClient();
+
+export default class SemesterService {
+  /**
+   * Get all semesters
+   * @param {Object} filters - Filter options
+   * @returns {Promise<Array>} Semesters
+   */
+  static async getAllSemesters(filters = {}) {
+    try {
+      const where = {
+        ...(filters.academicYear && { academicYear: parseInt(filters.academicYear) }),
+        ...(filters.isActive !== undefined && { isActive: filters.isActive })
+      };
+
+      const semesters = await prisma.semester.findMany({
+        where,
+        orderBy: [
+          { academicYear: 'desc' },
+          { semesterNumber: 'desc' }
+        ]
+      });
+
+      return semesters;
+    } catch (error) {
+      throw new AppError('Failed to fetch semesters', 500);
+    }
+  }
+
+  /**
+   * Get semester by ID
+   * @param {number} id - Semester ID
+   * @returns {Promise<Object>} Semester details
+   */
+  static async getSemesterById(id) {
+    try {
+      const semester = await prisma.semester.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!semester) {
+        throw new AppError('Semester not found', 404);
+      }
+
+      return semester;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch semester', 500);
+    }
+  }
+
+  /**
+   * Get the current semester
+   * @returns {Promise<Object>} Current semester
+   */
+  static async getCurrentSemester() {
+    try {
+      const semester = await prisma.semester.findFirst({
+        where: { isCurrent: true }
+      });
+
+      if (!semester) {
+        throw new AppError('No current semester has been set', 404);
+      }
+
+      return semester;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch current semester', 500);
+    }
+  }
+
+  /**
+   * Get a semester by its name, as referenced by Schedule.semester
+   * @param {string} name - Semester name, e.g. "2025-1"
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Semester
+   */
+  static async getSemesterByName(name, client = prisma) {
+    const semester = await client.semester.findUnique({
+      where: { name }
+    });
+
+    if (!semester) {
+      throw new AppError(`Semester ${name} does not exist`, 400);
+    }
+
+    return semester;
+  }
+
+  /**
+   * Create new semester
+   * @param {Object} data - Semester data
+   * @returns {Promise<Object>} Created semester
+   */
+  static async createSemester(data) {
+    try {
+      const academicYear = parseInt(data.academicYear);
+      const semesterNumber = parseInt(data.semesterNumber);
+      const name = data.name || `${academicYear}-${semesterNumber}`;
+
+      const dates = this.validateDates({
+        startDate: new Date(data.startDate),
+        endDate: new Date(data.endDate),
+        enrollmentStart: new Date(data.enrollmentStart),
+        enrollmentEnd: new Date(data.enrollmentEnd)
+      });
+
+      const existingSemester = await prisma.semester.findFirst({
+        where: {
+          OR: [
+            { name },
+            { academicYear, semesterNumber }
+          ]
+        }
+      });
+
+      if (existingSemester) {
+        throw new AppError('Semester already exists', 409);
+      }
+
+      const semester = await prisma.$transaction(async (tx) => {
+        // Only one semester may be current at a time
+        if (data.isCurrent === true) {
+          await tx.semester.updateMany({
+            where: { isCurrent: true },
+            data: { isCurrent: false }
+          });
+        }
+
+        return tx.semester.create({
+          data: {
+            name,
+            academicYear,
+            semesterNumber,
+            ...dates,
+            isActive: data.isActive === true,
+            isCurrent: data.isCurrent === true
+          }
+        });
+      });
+
+      await AuditService.log({
+        action: 'SEMESTER_CREATED',
+        entityType: 'Semester',
+        entityId: semester.id,
+        newValues: semester
+      });
+
+      return semester;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create semester', 500);
+    }
+  }
+
+  /**
+   * Update semester
+   * @param {number} id - Semester ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object>} Updated semester
+   */
+  static async updateSemester(id, data) {
+    try {
+      const semester = await prisma.semester.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!semester) {
+        throw new AppError('Semester not found', 404);
+      }
+
+      // Schedules reference semesters by name, so it cannot change once in use
+      if (data.name && data.name !== semester.name) {
+        const scheduleCount = await prisma.schedule.count({
+          where: { semester: semester.name }
+        });
+
+        if (scheduleCount > 0) {
+          throw new AppError('Cannot rename a semester that has schedules', 400);
+        }
+
+        const existingSemester = await prisma.semester.findUnique({
+          where: { name: data.name }
+        });
+
+        if (existingSemester) {
+          throw new AppError('Semester name already exists', 409);
+        }
+      }
+
+      const dates = this.validateDates({
+        startDate: data.startDate ? new Date(data.startDate) : semester.startDate,
+        endDate: data.endDate ? new Date(data.endDate) : semester.endDate,
+        enrollmentStart: data.enrollmentStart ? new Date(data.enrollmentStart) : semester.enrollmentStart,
+        enrollmentEnd: data.enrollmentEnd ? new Date(data.enrollmentEnd) : semester.enrollmentEnd
+      });
+
+      const updatedSemester = await prisma.$transaction(async (tx) => {
+        if (data.isCurrent === true) {
+          await tx.semester.updateMany({
+            where: { isCurrent: true, NOT: { id: semester.id } },
+            data: { isCurrent: false }
+          });
+        }
+
+        return tx.semester.update({
+          where: { id: semester.id },
+          data: {
+            ...(data.name && { name: data.name }),
+            ...dates,
+            ...(data.isActive !== undefined && { isActive: data.isActive === true }),
+            // Same test as the demotion above, so a semester is never made current without it
+            ...(data.isCurrent !== undefined && { isCurrent: data.isCurrent === true })
+          }
+        });
+      });
+
+      await AuditService.logChanges(
+        { action: 'SEMESTER_UPDATED', entityType: 'Semester', entityId: semester.id },
+        semester,
+        updatedSemester
+      );
+
+      return updatedSemester;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update semester', 500);
+    }
+  }
+
+  /**
+   * Make a semester the current one
+   * @param {number} id - Semester ID
+   * @returns {Promise<Object>} Current semester
+   */
+  static async setCurrentSemester(id) {
+    return this.updateSemester(id, { isCurrent: true });
+  }
+
+  /**
+   * Delete semester
+   * @param {number} id - Semester ID
+   * @returns {Promise<void>}
+   */
+  static async deleteSemester(id) {
+    try {
+      const semester = await prisma.semester.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!semester) {
+        throw new AppError('Semester not found', 404);
+      }
+
+      const scheduleCount = await prisma.schedule.count({
+        where: { semester: semester.name }
+      });
+
+      if (scheduleCount > 0) {
+        throw new AppError('Cannot delete semester with schedules', 400);
+      }
+
+      await prisma.semester.delete({
+        where: { id: semester.id }
+      });
+
+      await AuditService.log({
+        action: 'SEMESTER_DELETED',
+        entityType: 'Semester',
+        entityId: semester.id,
+        oldValues: semester
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to delete semester', 500);
+    }
+  }
+
+  /**
+   * Ensure enrollment is open for a semester
+   * @param {string} name - Semester name
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Semester
+   */
+  static async assertEnrollmentOpen(name, client = prisma) {
+    const semester = await this.getSemesterByName(name, client);
+    const now = new Date();
+
+    if (now < semester.enrollmentStart) {
+      throw new AppError(`Enrollment for semester ${name} opens on ${semester.enrollmentStart.toISOString()}`, 400);
+    }
+
+    if (now > semester.enrollmentEnd) {
+      throw new AppError(`Enrollment for semester ${name} closed on ${semester.enrollmentEnd.toISOString()}`, 400);
+    }
+
+    return semester;
+  }
+
+  /**
+   * Validate semester date ranges
+   * @param {Object} dates - startDate, endDate, enrollmentStart, enrollmentEnd
+   * @returns {Object} The validated dates
+   */
+  static validateDates(dates) {
+    if (Object.values(dates).some(date => isNaN(date.getTime()))) {
+      throw new AppError('Invalid date format', 400);
+    }
+
+    if (dates.startDate >= dates.endDate) {
+      throw new AppError('End date must be after start date', 400);
+    }
+
+    if (dates.enrollmentStart >= dates.enrollmentEnd) {
+      throw new AppError('Enrollment end must be after enrollment start', 400);
+    }
+
+    if (dates.enrollmentStart > dates.endDate) {
+      throw new AppError('Enrollment must open before the semester ends', 400);
+    }
+
+    return dates;
+  }
+}
@@ -0,0 +1,378 @@
+// services/setting.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import { parseDuration } from '../utils/time.js';
+import AuditService from './audit.service.js';
+
+const prisma = new PrismaClient();
+
+const SETTING_TYPES = ['int', 'bool', 'duration', 'json'];
+
+const isPositiveInt = value => Number.isInteger(value) && value > 0;
+
+/**
+ * Registry of known settings. Only these keys can be read or written.
+ * Durations are stored as strings such as "15m" and read back in milliseconds.
+ */
+const SETTINGS = {
+  BCRYPT_SALT_ROUNDS: {
+    type: 'int',
+    default: 12,
+    min: 10,
+    max: 15,
+    description: 'bcrypt cost factor for new password hashes'
+  },
+  JWT_ACCESS_TOKEN_TTL: {
+    type: 'duration',
+    default: process.env.JWT_EXPIRES_IN || '15m',
+    min: '1m',
+    max: '1d',
+    description: 'Lifetime of access tokens'
+  },
+  JWT_REFRESH_TOKEN_TTL: {
+    type: 'duration',
+    default: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    min: '1h',
+    max: '90d',
+    description: 'Lifetime of refresh tokens'
+  },
+  PASSWORD_RESET_OTP_TTL: {
+    type: 'duration',
+    default: '15m',
+    min: '1m',
+    max: '1d',
+    description: 'How long a password reset OTP stays valid'
+  },
+  EMAIL_MAX_ATTEMPTS: {
+    type: 'int',
+    default: 5,
+    min: 1,
+    max: 20,
+    description: 'Delivery attempts before an outbox email is marked failed'
+  },
+  EMAIL_RETRY_DELAY: {
+    type: 'duration',
+    default: '1m',
+    min: '1s',
+    max: '1d',
+    description: 'Wait before retrying a failed email; doubles after each attempt'
+  },
+  MIN_CREDITS_PER_SEMESTER: {
+    type: 'int',
+    default: 12,
+    min: 0,
+    description: 'Default minimum credits per semester'
+  },
+  MAX_CREDITS_PER_SEMESTER: {
+    type: 'int',
+    default: 24,
+    min: 1,
+    description: 'Default maximum credits per semester'
+  },
+  PAGINATION_DEFAULT_LIMITS: {
+    type: 'json',
+    default: {
+      units: 10,
+      unitSearch: 20,
+      schedules: 20,
+      enrollments: 20,
+      users: 20,
+      auditLogs: 50,
+      emails: 20,
+      notifications: 20
+    },
+    validate: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.values(value).every(isPositiveInt),
+    description: 'Default page size per list endpoint'
+  }
+};
+
+// Rules spanning several settings, checked against the values after an update
+const CONSTRAINTS = [
+  {
+    keys: ['MIN_CREDITS_PER_SEMESTER', 'MAX_CREDITS_PER_SEMESTER'],
+    check: (minCredits, maxCredits) => minCredits <= maxCredits,
+    message: 'Minimum credits cannot exceed maximum credits'
+  }
+];
+
+let cache = null;
+
+export default class SettingService {
+  /**
+   * Get the typed value of a setting
+   * @param {string} key - Setting key
+   * @returns {Promise<*>} Value; durations are returned in milliseconds
+   */
+  static async get(key) {
+    const definition = this.getDefinition(key);
+    const values = await this.loadCache();
+
+    return values.has(key) ? values.get(key) : this.parse(definition, definition.default);
+  }
+
+  /**
+   * Get several settings at once
+   * @param {Array<string>} keys - Setting keys
+   * @returns {Promise<Object>} Values keyed by setting key
+   */
+  static async getMany(keys) {
+    const entries = await Promise.all(keys.map(async key => [key, await this.get(key)]));
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Get the default page size for a list endpoint, unless the client asked for one
+   * @param {string} resource - Key in PAGINATION_DEFAULT_LIMITS
+   * @param {string|number} requested - Limit from the query string
+   * @returns {Promise<number>} Page size
+   */
+  static async getPageLimit(resource, requested) {
+    const limit = parseInt(requested);
+
+    if (limit > 0) {
+      return limit;
+    }
+
+    const limits = await this.get('PAGINATION_DEFAULT_LIMITS');
+    return limits[resource] || SETTINGS.PAGINATION_DEFAULT_LIMITS.default[resource] || 20;
+  }
+
+  /**
+   * List every known setting with its current and default value
+   * @returns {Promise<Array>} Settings
+   */
+  static async getAllSettings() {
+    try {
+      const rows = await prisma.systemSetting.findMany();
+      const stored = new Map(rows.map(row => [row.key, row]));
+
+      return Object.entries(SETTINGS).map(([key, definition]) => this.describe(key, definition, stored.get(key)));
+    } catch (error) {
+      throw new AppError('Failed to fetch settings', 500);
+    }
+  }
+
+  /**
+   * Get a single setting with its current and default value
+   * @param {string} key - Setting key
+   * @returns {Promise<Object>} Setting
+   */
+  static async getSetting(key) {
+    try {
+      const definition = this.getDefinition(key);
+      const row = await prisma.systemSetting.findUnique({
+        where: { key }
+      });
+
+      return this.describe(key, definition, row);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch setting', 500);
+    }
+  }
+
+  /**
+   * Update a setting
+   * @param {string} key - Setting key
+   * @param {*} value - New value
+   * @returns {Promise<Object>} Updated setting
+   */
+  static async updateSetting(key, value) {
+    const [setting] = await this.updateSettings({ [key]: value });
+    return setting;
+  }
+
+  /**
+   * Update several settings in one transaction
+   * @param {Object} values - New values keyed by setting key
+   * @returns {Promise<Array>} Updated settings
+   */
+  static async updateSettings(values) {
+    try {
+      const keys = Object.keys(values);
+
+      if (keys.length === 0) {
+        throw new AppError('No settings to update', 400);
+      }
+
+      const parsed = {};
+      for (const key of keys) {
+        parsed[key] = this.parse(this.getDefinition(key), values[key]);
+      }
+
+      const current = await this.getMany(Object.keys(SETTINGS));
+      const next = { ...current, ...parsed };
+
+      for (const constraint of CONSTRAINTS) {
+        if (!constraint.check(...constraint.keys.map(key => next[key]))) {
+          throw new AppError(constraint.message, 400);
+        }
+      }
+
+      const previousRows = await prisma.systemSetting.findMany({
+        where: { key: { in: keys } }
+      });
+
+      const rows = await prisma.$transaction(keys.map(key => {
+        const value = this.serialize(this.getDefinition(key), values[key]);
+
+        return prisma.systemSetting.upsert({
+          where: { key },
+          update: { value },
+          create: { key, value, description: SETTINGS[key].description }
+        });
+      }));
+
+      this.invalidateCache();
+
+      for (const row of rows) {
+        const previous = previousRows.find(candidate => candidate.key === row.key);
+
+        await AuditService.log({
+          action: 'SETTING_UPDATED',
+          entityType: 'SystemSetting',
+          entityId: row.id,
+          oldValues: { key: row.key, value: previous ? previous.value : null },
+          newValues: { key: row.key, value: row.value }
+        });
+      }
+
+      return rows.map(row => this.describe(row.key, SETTINGS[row.key], row));
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update settings', 500);
+    }
+  }
+
+  static invalidateCache() {
+    cache = null;
+  }
+
+  static async loadCache() {
+    // Share one in-flight load between concurrent callers
+    if (!cache) {
+      cache = prisma.systemSetting.findMany({
+        where: { key: { in: Object.keys(SETTINGS) } }
+      }).then(rows => {
+        const values = new Map();
+
+        for (const row of rows) {
+          try {
+            values.set(row.key, this.parse(SETTINGS[row.key], row.value));
+          } catch (error) {
+            // A bad stored value must not take the app down; fall back to the default
+            console.error(`Ignoring invalid value for setting ${row.key}:`, row.value);
+          }
+        }
+
+        return values;
+      }).catch(error => {
+        cache = null;
+        throw error;
+      });
+    }
+
+    return cache;
+  }
+
+  static getDefinition(key) {
+    const definition = SETTINGS[key];
+
+    if (!definition) {
+      throw new AppError(`Unknown setting ${key}`, 404);
+    }
+
+    return definition;
+  }
+
+  static describe(key, definition, row) {
+    return {
+      key,
+      type: definition.type,
+      value: row ? this.display(definition, row.value) : definition.default,
+      default: definition.default,
+      isDefault: !row,
+      description: row?.description || definition.description,
+      ...(definition.min !== undefined && { min: definition.min }),
+      ...(definition.max !== undefined && { max: definition.max })
+    };
+  }
+
+  static display(definition, raw) {
+    try {
+      return definition.type === 'duration' ? raw : this.parse(definition, raw);
+    } catch (error) {
+      return raw;
+    }
+  }
+
+  /**
+   * Convert a raw or stored value to its typed form, validating it against the definition
+   */
+  static parse(definition, raw) {
+    let value;
+
+    switch (definition.type) {
+      case 'int':
+        value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isInteger(value)) {
+          throw new AppError('Value must be an integer', 400);
+        }
+        break;
+      case 'bool':
+        if (typeof raw === 'boolean') {
+          value = raw;
+        } else if (['true', 'false'].includes(String(raw).toLowerCase())) {
+          value = String(raw).toLowerCase() === 'true';
+        } else {
+          throw new AppError('Value must be true or false', 400);
+        }
+        break;
+      case 'duration':
+        value = parseDuration(raw);
+        if (value === null) {
+          throw new AppError('Value must be a duration such as "30s", "15m", "12h" or "7d"', 400);
+        }
+        break;
+      case 'json':
+        try {
+          value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+          throw new AppError('Value must be valid JSON', 400);
+        }
+        break;
+      default:
+        throw new AppError(`Unsupported setting type ${definition.type}; expected one of ${SETTING_TYPES.join(', ')}`, 500);
+    }
+
+    const bound = limit => (definition.type === 'duration' ? parseDuration(limit) : limit);
+
+    if (definition.min !== undefined && value < bound(definition.min)) {
+      throw new AppError(`Value must be at least ${definition.min}`, 400);
+    }
+
+    if (definition.max !== undefined && value > bound(definition.max)) {
+      throw new AppError(`Value must be at most ${definition.max}`, 400);
+    }
+
+    if (definition.validate && !definition.validate(value)) {
+      throw new AppError('Value is not valid for this setting', 400);
+    }
+
+    return value;
+  }
+
+  static serialize(definition, raw) {
+    if (definition.type === 'json') {
+      return JSON.stringify(typeof raw === 'string' ? JSON.parse(raw) : raw);
+    }
+
+    return String(raw).trim();
+  }
+}
@@ -1,6 +1,7 @@
 
 import { PrismaClient } from '@prisma/client';
 import { AppError } from '../utils/errors.js';
+import AuditService from './audit.service.js';
 
 const prisma = new PrismaClient();
 
@@ -105,6 +106,13 @@ export default class TimeSlotService {
         }
       });
 
+      await AuditService.log({
+        action: 'TIMESLOT_CREATED',
+        entityType: 'TimeSlot',
+        entityId: timeSlot.id,
+        newValues: timeSlot
+      });
+
       return timeSlot;
     } catch (error) {
       if (error instanceof AppError) {
@@ -159,6 +167,12 @@ export default class TimeSlotService {
         data: updateData
       });
 
+      await AuditService.logChanges(
+        { action: 'TIMESLOT_UPDATED', entityType: 'TimeSlot', entityId: timeSlot.id },
+        timeSlot,
+        updatedTimeSlot
+      );
+
       return updatedTimeSlot;
     } catch (error) {
       if (error instanceof AppError) {
@@ -197,6 +211,14 @@ export default class TimeSlotService {
         where: { id: parseInt(id) }
       });
 
+      const { schedules, ...deletedTimeSlot } = timeSlot;
+      await AuditService.log({
+        action: 'TIMESLOT_DELETED',
+        entityType: 'TimeSlot',
+        entityId: timeSlot.id,
+        oldValues: deletedTimeSlot
+      });
+
     } catch (error) {
       if (error instanceof AppError) {
         throw error;
@@ -244,6 +266,14 @@ export default class TimeSlotService {
         data: { isActive: false }
       });
 
+      await AuditService.log({
+        action: 'TIMESLOT_DEACTIVATED',
+        entityType: 'TimeSlot',
+        entityId: timeSlot.id,
+        oldValues: { isActive: timeSlot.isActive },
+        newValues: { isActive: false }
+      });
+
       return updatedTimeSlot;
     } catch (error) {
       if (error instanceof AppError) {
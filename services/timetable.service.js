@@ -0,0 +1,533 @@
+// services/timetable.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import SemesterService from './semester.service.js';
+import ScheduleService from './schedule.service.js';
+import TutorService from './tutor.service.js';
+import RoomService from './room.service.js';
+import AuditService from './audit.service.js';
+import { toMinutesOfDay } from '../utils/time.js';
+import { solveTimetableInWorker } from '../utils/timetableSolver.js';
+
+const prisma = new PrismaClient();
+
+const MAX_SESSIONS_PER_WEEK = 7;
+
+// Larger semesters are generated in batches by passing offerings
+const MAX_GENERATED_SESSIONS = 500;
+
+const GENERATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+export default class TimetableService {
+  /**
+   * Start generating a clash-free draft timetable for a semester.
+   * The solver runs on a worker thread; the draft is GENERATING until it finishes.
+   * @param {Object} data - semesterId, offerings, dayIds, timeSlotIds, preferences
+   * @param {number} adminId - Admin generating the draft
+   * @returns {Promise<Object>} Draft in GENERATING status
+   */
+  static async generateDraft(data, adminId) {
+    try {
+      if (!data.semesterId) {
+        throw new AppError('Semester ID is required', 400);
+      }
+
+      const semester = await SemesterService.getSemesterById(data.semesterId);
+      const termWhere = { semester: semester.name, academicYear: semester.academicYear, isActive: true };
+
+      const dayIds = this.parseIdList(data.dayIds, 'Day IDs');
+      const timeSlotIds = this.parseIdList(data.timeSlotIds, 'Time slot IDs');
+
+      const [days, timeSlots, rooms, existingSchedules] = await Promise.all([
+        prisma.day.findMany({
+          where: dayIds ? { id: { in: dayIds } } : {},
+          orderBy: { dayOrder: 'asc' }
+        }),
+        prisma.timeSlot.findMany({
+          where: { isActive: true, ...(timeSlotIds && { id: { in: timeSlotIds } }) },
+          orderBy: { startTime: 'asc' }
+        }),
+        prisma.room.findMany({
+          where: { isActive: true },
+          orderBy: { name: 'asc' }
+        }),
+        prisma.schedule.findMany({
+          where: termWhere,
+          include: { timeSlot: true }
+        })
+      ]);
+
+      if (days.length === 0 || timeSlots.length === 0) {
+        throw new AppError('At least one day and one active time slot are required', 400);
+      }
+
+      if (rooms.length === 0) {
+        throw new AppError('No active rooms are available to schedule into', 400);
+      }
+
+      const offerings = await this.resolveOfferings(data.offerings, existingSchedules);
+
+      if (offerings.length === 0) {
+        throw new AppError('No units to schedule; every active unit already has a schedule this semester', 400);
+      }
+
+      const sessionCount = offerings.reduce((total, offering) => total + (offering.sessions || 1), 0);
+
+      if (sessionCount > MAX_GENERATED_SESSIONS) {
+        throw new AppError(
+          `${sessionCount} sessions requested; generate at most ${MAX_GENERATED_SESSIONS} at a time by passing offerings`,
+          400
+        );
+      }
+
+      const running = await prisma.timetableDraft.findFirst({
+        where: { semesterId: semester.id, status: 'GENERATING' }
+      });
+
+      if (running) {
+        throw new AppError(`Draft ${running.id} is still being generated for this semester`, 409);
+      }
+
+      const tutorIds = [...new Set(offerings.flatMap(offering => offering.tutorIds))];
+      const tutors = await this.loadTutors(tutorIds, termWhere);
+
+      const preferences = {
+        preferredDayIds: this.parseIdList(data.preferences?.preferredDayIds, 'Preferred day IDs') || [],
+        avoidTimeSlotIds: this.parseIdList(data.preferences?.avoidTimeSlotIds, 'Avoided time slot IDs') || []
+      };
+
+      const input = {
+        offerings,
+        days,
+        timeSlots: timeSlots.map(slot => ({
+          id: slot.id,
+          name: slot.name,
+          start: toMinutesOfDay(slot.startTime),
+          end: toMinutesOfDay(slot.endTime)
+        })),
+        rooms: rooms.map(room => ({
+          id: room.id,
+          name: room.name,
+          seats: room.seats,
+          features: Array.isArray(room.features) ? room.features : []
+        })),
+        tutors,
+        bookings: existingSchedules.map(schedule => ({
+          unitId: schedule.unitId,
+          timeSlotId: schedule.timeSlotId,
+          dayId: schedule.dayId,
+          start: toMinutesOfDay(schedule.timeSlot.startTime),
+          end: toMinutesOfDay(schedule.timeSlot.endTime),
+          roomId: schedule.roomId,
+          tutorId: schedule.tutorId,
+          program: schedule.program,
+          yearLevel: schedule.yearLevel
+        })),
+        preferences
+      };
+
+      const draft = await prisma.timetableDraft.create({
+        data: {
+          semesterId: semester.id,
+          status: 'GENERATING',
+          options: {
+            offerings: offerings.map(({ key, unitCode, capacity, ...offering }) => offering),
+            dayIds: days.map(day => day.id),
+            timeSlotIds: timeSlots.map(slot => slot.id),
+            preferences
+          },
+          createdById: adminId
+        }
+      });
+
+      this.runGeneration(draft, input, semester, adminId);
+
+      return draft;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to generate timetable draft', 500);
+    }
+  }
+
+  /**
+   * Solve a draft on a worker thread and store the result; never throws
+   * @param {Object} draft - Draft in GENERATING status
+   * @param {Object} input - Solver input
+   * @param {Object} semester - Semester being scheduled
+   * @param {number} adminId - Admin who asked for the draft
+   * @returns {Promise<void>}
+   */
+  static async runGeneration(draft, input, semester, adminId) {
+    try {
+      const result = await solveTimetableInWorker(input, GENERATION_TIMEOUT_MS);
+
+      // A draft discarded while generating stays discarded
+      const saved = await prisma.timetableDraft.updateMany({
+        where: { id: draft.id, status: 'GENERATING' },
+        data: {
+          status: 'DRAFT',
+          entries: result.entries,
+          unplaced: result.unplaced,
+          penalty: result.penalty
+        }
+      });
+
+      if (saved.count === 0) {
+        return;
+      }
+
+      await AuditService.log({
+        action: 'TIMETABLE_DRAFT_CREATED',
+        entityType: 'TimetableDraft',
+        entityId: draft.id,
+        newValues: {
+          semester: semester.name,
+          entries: result.entries.length,
+          unplaced: result.unplaced.length,
+          penalty: result.penalty
+        },
+        userId: adminId
+      });
+    } catch (error) {
+      console.error('Timetable generation error:', error);
+
+      await prisma.timetableDraft.updateMany({
+        where: { id: draft.id, status: 'GENERATING' },
+        data: { status: 'FAILED', error: error.message }
+      }).catch(updateError => console.error('Timetable generation error:', updateError));
+    }
+  }
+
+  /**
+   * Mark drafts left generating by a previous server process as failed
+   * @returns {Promise<number>} Drafts marked failed
+   */
+  static async failInterruptedDrafts() {
+    const result = await prisma.timetableDraft.updateMany({
+      where: { status: 'GENERATING' },
+      data: { status: 'FAILED', error: 'The server restarted before generation finished' }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Get timetable drafts
+   * @param {Object} filters - semesterId, status
+   * @returns {Promise<Array>} Drafts without their entries
+   */
+  static async getDrafts(filters = {}) {
+    try {
+      const drafts = await prisma.timetableDraft.findMany({
+        where: {
+          ...(filters.semesterId && { semesterId: parseInt(filters.semesterId) }),
+          ...(filters.status && { status: filters.status })
+        },
+        select: {
+          id: true,
+          status: true,
+          penalty: true,
+          error: true,
+          createdAt: true,
+          committedAt: true,
+          semester: { select: { id: true, name: true } },
+          createdBy: { select: { id: true, email: true } }
+        },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      return drafts;
+    } catch (error) {
+      throw new AppError('Failed to fetch timetable drafts', 500);
+    }
+  }
+
+  /**
+   * Get timetable draft by ID
+   * @param {number} id - Draft ID
+   * @returns {Promise<Object>} Draft with proposed entries
+   */
+  static async getDraftById(id) {
+    try {
+      const draft = await prisma.timetableDraft.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          semester: true,
+          createdBy: { select: { id: true, email: true } }
+        }
+      });
+
+      if (!draft) {
+        throw new AppError('Timetable draft not found', 404);
+      }
+
+      return draft;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch timetable draft', 500);
+    }
+  }
+
+  /**
+   * Create every schedule in a draft in one transaction
+   * @param {number} id - Draft ID
+   * @param {number} adminId - Admin committing the draft
+   * @returns {Promise<Object>} Committed draft and created schedules
+   */
+  static async commitDraft(id, adminId) {
+    try {
+      const draft = await this.getDraftById(id);
+
+      if (draft.status !== 'DRAFT') {
+        throw new AppError(`Draft is already ${draft.status.toLowerCase()}`, 400);
+      }
+
+      if (draft.entries.length === 0) {
+        throw new AppError('Draft has no schedules to commit', 400);
+      }
+
+      const { semester } = draft;
+
+      const schedules = await prisma.$transaction(async (tx) => {
+        // Claim the draft first so two admins cannot commit it twice
+        const claimed = await tx.timetableDraft.updateMany({
+          where: { id: draft.id, status: 'DRAFT' },
+          data: { status: 'COMMITTED', committedAt: new Date() }
+        });
+
+        if (claimed.count === 0) {
+          throw new AppError('Draft was committed or discarded by someone else', 409);
+        }
+
+        const created = [];
+
+        // The timetable may have changed since generation, so every entry is checked again
+        for (const entry of draft.entries) {
+          try {
+            created.push(await this.createEntrySchedule(tx, entry, semester));
+          } catch (error) {
+            if (error instanceof AppError) {
+              throw new AppError(
+                `Session ${entry.session} of ${entry.unitCode} (${entry.day} ${entry.timeSlot}) can no longer be scheduled: ${error.message}`,
+                error.statusCode,
+                error.details
+              );
+            }
+            throw error;
+          }
+        }
+
+        return created;
+      }, { timeout: 60000 });
+
+      await AuditService.log({
+        action: 'TIMETABLE_COMMITTED',
+        entityType: 'TimetableDraft',
+        entityId: draft.id,
+        oldValues: { status: draft.status },
+        newValues: { status: 'COMMITTED', scheduleIds: schedules.map(schedule => schedule.id) },
+        userId: adminId
+      });
+
+      return {
+        draftId: draft.id,
+        semester: semester.name,
+        schedules
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to commit timetable draft', 500);
+    }
+  }
+
+  /**
+   * Discard a draft that will not be committed
+   * @param {number} id - Draft ID
+   * @param {number} adminId - Admin discarding the draft
+   * @returns {Promise<Object>} Discarded draft
+   */
+  static async discardDraft(id, adminId) {
+    try {
+      const draft = await this.getDraftById(id);
+
+      // A draft still generating can be discarded too; its result is then thrown away
+      if (!['DRAFT', 'GENERATING'].includes(draft.status)) {
+        throw new AppError(`Draft is already ${draft.status.toLowerCase()}`, 400);
+      }
+
+      const updatedDraft = await prisma.timetableDraft.update({
+        where: { id: draft.id },
+        data: { status: 'DISCARDED' }
+      });
+
+      await AuditService.log({
+        action: 'TIMETABLE_DRAFT_DISCARDED',
+        entityType: 'TimetableDraft',
+        entityId: draft.id,
+        oldValues: { status: draft.status },
+        newValues: { status: 'DISCARDED' },
+        userId: adminId
+      });
+
+      return updatedDraft;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to discard timetable draft', 500);
+    }
+  }
+
+  static async createEntrySchedule(tx, entry, semester) {
+    return ScheduleService.insertSchedule({
+      unitId: entry.unitId,
+      timeSlotId: entry.timeSlotId,
+      dayId: entry.dayId,
+      tutorId: entry.tutorId,
+      roomId: entry.roomId,
+      semester: semester.name,
+      academicYear: semester.academicYear,
+      maxCapacity: entry.maxCapacity,
+      program: entry.program,
+      yearLevel: entry.yearLevel
+    }, tx);
+  }
+
+  // Explicit offerings are validated; without them every active unit not yet scheduled is offered once a week
+  static async resolveOfferings(requested, existingSchedules) {
+    if (requested === undefined || requested === null) {
+      const scheduledUnitIds = [...new Set(existingSchedules.map(schedule => schedule.unitId))];
+      const units = await prisma.unit.findMany({
+        where: { isActive: true, id: { notIn: scheduledUnitIds } },
+        orderBy: { unitCode: 'asc' }
+      });
+
+      return units.map(unit => ({
+        key: `unit-${unit.id}`,
+        unitId: unit.id,
+        unitCode: unit.unitCode,
+        capacity: unit.capacity,
+        sessions: 1,
+        tutorIds: [],
+        program: null,
+        yearLevel: null,
+        maxCapacity: null,
+        requiredFeatures: []
+      }));
+    }
+
+    if (!Array.isArray(requested)) {
+      throw new AppError('Offerings must be a list', 400);
+    }
+
+    const units = await prisma.unit.findMany({
+      where: {
+        id: { in: requested.map(offering => parseInt(offering?.unitId)).filter(id => !isNaN(id)) },
+        isActive: true
+      }
+    });
+
+    return requested.map((offering, index) => {
+      const unit = units.find(candidate => candidate.id === parseInt(offering?.unitId));
+
+      if (!unit) {
+        throw new AppError(`Offering ${index + 1}: unit not found or inactive`, 404);
+      }
+
+      const sessions = offering.sessions === undefined ? 1 : parseInt(offering.sessions);
+
+      if (isNaN(sessions) || sessions < 1 || sessions > MAX_SESSIONS_PER_WEEK) {
+        throw new AppError(`Offering ${index + 1}: sessions must be between 1 and ${MAX_SESSIONS_PER_WEEK}`, 400);
+      }
+
+      const maxCapacity = offering.maxCapacity ? parseInt(offering.maxCapacity) : null;
+
+      if (maxCapacity !== null && (isNaN(maxCapacity) || maxCapacity <= 0)) {
+        throw new AppError(`Offering ${index + 1}: max capacity must be a positive number`, 400);
+      }
+
+      // A fixed tutor or a list of tutors the generator may choose from
+      const tutorIds = offering.tutorId
+        ? [parseInt(offering.tutorId)]
+        : this.parseIdList(offering.tutorIds, `Offering ${index + 1}: tutor IDs`) || [];
+
+      if (tutorIds.some(isNaN)) {
+        throw new AppError(`Offering ${index + 1}: invalid tutor ID`, 400);
+      }
+
+      return {
+        key: `offering-${index}`,
+        unitId: unit.id,
+        unitCode: unit.unitCode,
+        capacity: maxCapacity || unit.capacity,
+        sessions,
+        tutorIds,
+        program: offering.program || null,
+        yearLevel: offering.yearLevel ? parseInt(offering.yearLevel) : null,
+        maxCapacity,
+        requiredFeatures: RoomService.parseFeatures(offering.requiredFeatures) || []
+      };
+    });
+  }
+
+  static async loadTutors(tutorIds, termWhere) {
+    const tutors = await prisma.tutor.findMany({
+      where: { id: { in: tutorIds } },
+      include: {
+        availability: true,
+        user: { select: { isActive: true } },
+        schedules: {
+          where: termWhere,
+          include: { timeSlot: true }
+        }
+      }
+    });
+
+    const unusable = tutorIds.filter(id =>
+      !tutors.some(tutor => tutor.id === id && tutor.isActive && tutor.user.isActive)
+    );
+
+    if (unusable.length > 0) {
+      throw new AppError(`Tutors not found or inactive: ${unusable.join(', ')}`, 404);
+    }
+
+    return new Map(tutors.map(tutor => [tutor.id, {
+      id: tutor.id,
+      name: TutorService.getDisplayName(tutor),
+      maxMinutes: tutor.maxWeeklyHours * 60,
+      loadMinutes: tutor.schedules.reduce((total, schedule) =>
+        total + toMinutesOfDay(schedule.timeSlot.endTime) - toMinutesOfDay(schedule.timeSlot.startTime), 0
+      ),
+      availability: tutor.availability.map(window => ({
+        dayId: window.dayId,
+        start: toMinutesOfDay(window.startTime),
+        end: toMinutesOfDay(window.endTime)
+      }))
+    }]));
+  }
+
+  static parseIdList(value, label) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (!Array.isArray(value)) {
+      throw new AppError(`${label} must be a list`, 400);
+    }
+
+    const ids = value.map(id => parseInt(id));
+
+    if (ids.some(isNaN)) {
+      throw new AppError(`${label} must be numbers`, 400);
+    }
+
+    return [...new Set(ids)];
+  }
+}
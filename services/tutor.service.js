@@ -0,0 +1,837 @@
+// services/tutor.service.js
+
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import SemesterService from './semester.service.js';
+import AuditService from './audit.service.js';
+import RealtimeService from './realtime.service.js';
+import { toMinutesOfDay, formatTimeOfDay, parseTimeOfDay } from '../utils/time.js';
+import { toCsv } from '../utils/csv.js';
+
+const prisma = new PrismaClient();
+
+const tutorInclude = {
+  user: {
+    select: {
+      id: true,
+      email: true,
+      isActive: true
+    }
+  },
+  availability: {
+    include: { day: true },
+    orderBy: [
+      { day: { dayOrder: 'asc' } },
+      { startTime: 'asc' }
+    ]
+  }
+};
+
+const ATTENDANCE_STATUSES = ['PRESENT', 'ABSENT', 'LATE', 'EXCUSED'];
+
+const rosterInclude = {
+  studentProfile: {
+    select: {
+      id: true,
+      studentId: true,
+      firstName: true,
+      lastName: true,
+      emailAddress: true,
+      phone: true,
+      program: true,
+      yearLevel: true,
+      user: { select: { email: true } }
+    }
+  }
+};
+
+const rosterColumns = [
+  { header: 'enrollmentId', value: enrollment => enrollment.id },
+  { header: 'studentId', value: enrollment => enrollment.studentProfile.studentId },
+  { header: 'lastName', value: enrollment => enrollment.studentProfile.lastName },
+  { header: 'firstName', value: enrollment => enrollment.studentProfile.firstName },
+  { header: 'email', value: enrollment => enrollment.studentProfile.emailAddress || enrollment.studentProfile.user.email },
+  { header: 'phone', value: enrollment => enrollment.studentProfile.phone },
+  { header: 'program', value: enrollment => enrollment.studentProfile.program },
+  { header: 'yearLevel', value: enrollment => enrollment.studentProfile.yearLevel },
+  { header: 'approvedAt', value: enrollment => enrollment.approvedAt }
+];
+
+const slotMinutes = timeSlot => toMinutesOfDay(timeSlot.endTime) - toMinutesOfDay(timeSlot.startTime);
+
+export default class TutorService {
+  /**
+   * Get all tutors
+   * @param {Object} filters - Filter options
+   * @returns {Promise<Array>} Tutors
+   */
+  static async getAllTutors(filters = {}) {
+    try {
+      const where = {
+        ...(filters.isActive !== undefined && { isActive: filters.isActive }),
+        ...(filters.department && { department: filters.department }),
+        ...(filters.search && {
+          OR: [
+            { firstName: { contains: filters.search } },
+            { lastName: { contains: filters.search } },
+            { user: { email: { contains: filters.search } } }
+          ]
+        })
+      };
+
+      const tutors = await prisma.tutor.findMany({
+        where,
+        include: {
+          ...tutorInclude,
+          _count: {
+            select: {
+              schedules: {
+                where: { isActive: true }
+              }
+            }
+          }
+        },
+        orderBy: [
+          { lastName: 'asc' },
+          { firstName: 'asc' }
+        ]
+      });
+
+      return tutors;
+    } catch (error) {
+      throw new AppError('Failed to fetch tutors', 500);
+    }
+  }
+
+  /**
+   * Get tutor by ID
+   * @param {number} id - Tutor ID
+   * @returns {Promise<Object>} Tutor details with active schedules
+   */
+  static async getTutorById(id) {
+    try {
+      const tutor = await prisma.tutor.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          ...tutorInclude,
+          schedules: {
+            where: { isActive: true },
+            include: {
+              unit: true,
+              timeSlot: true,
+              day: true
+            },
+            orderBy: [
+              { day: { dayOrder: 'asc' } },
+              { timeSlot: { startTime: 'asc' } }
+            ]
+          }
+        }
+      });
+
+      if (!tutor) {
+        throw new AppError('Tutor not found', 404);
+      }
+
+      return tutor;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch tutor', 500);
+    }
+  }
+
+  /**
+   * Create a tutor profile for an existing TUTOR user
+   * @param {Object} data - userId, firstName, lastName, department, maxWeeklyHours
+   * @returns {Promise<Object>} Created tutor
+   */
+  static async createTutor(data) {
+    try {
+      const { userId, firstName, lastName, department, maxWeeklyHours } = data;
+
+      if (!userId || !firstName || !lastName) {
+        throw new AppError('User ID, first name, and last name are required', 400);
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: parseInt(userId) },
+        include: { tutorProfile: true }
+      });
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      if (user.role !== 'TUTOR') {
+        throw new AppError('Tutor profiles can only be created for users with the TUTOR role', 400);
+      }
+
+      if (user.tutorProfile) {
+        throw new AppError('User already has a tutor profile', 409);
+      }
+
+      const tutor = await prisma.tutor.create({
+        data: {
+          userId: user.id,
+          firstName,
+          lastName,
+          department: department || null,
+          ...(maxWeeklyHours !== undefined && { maxWeeklyHours: this.parseWeeklyHours(maxWeeklyHours) })
+        },
+        include: tutorInclude
+      });
+
+      await AuditService.log({
+        action: 'TUTOR_CREATED',
+        entityType: 'Tutor',
+        entityId: tutor.id,
+        newValues: { userId: user.id, firstName, lastName, department, maxWeeklyHours: tutor.maxWeeklyHours }
+      });
+
+      return tutor;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create tutor', 500);
+    }
+  }
+
+  /**
+   * Update tutor
+   * @param {number} id - Tutor ID
+   * @param {Object} data - Update data
+   * @returns {Promise<Object>} Updated tutor
+   */
+  static async updateTutor(id, data) {
+    try {
+      const tutor = await prisma.tutor.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          _count: {
+            select: {
+              schedules: {
+                where: { isActive: true }
+              }
+            }
+          }
+        }
+      });
+
+      if (!tutor) {
+        throw new AppError('Tutor not found', 404);
+      }
+
+      if (data.isActive === false && tutor.isActive && tutor._count.schedules > 0) {
+        throw new AppError('Cannot deactivate a tutor with active schedules; reassign them first', 400);
+      }
+
+      const updateData = {};
+
+      if (data.firstName) updateData.firstName = data.firstName;
+      if (data.lastName) updateData.lastName = data.lastName;
+      if (data.department !== undefined) updateData.department = data.department || null;
+      if (data.maxWeeklyHours !== undefined) updateData.maxWeeklyHours = this.parseWeeklyHours(data.maxWeeklyHours);
+      if (data.isActive !== undefined) updateData.isActive = Boolean(data.isActive);
+
+      const updatedTutor = await prisma.$transaction(async (tx) => {
+        const updated = await tx.tutor.update({
+          where: { id: tutor.id },
+          data: updateData,
+          include: tutorInclude
+        });
+
+        // Keep the denormalised name on schedules in step so tutorName filters still match
+        if (updateData.firstName || updateData.lastName) {
+          await tx.schedule.updateMany({
+            where: { tutorId: tutor.id },
+            data: { tutorName: this.getDisplayName(updated) }
+          });
+        }
+
+        return updated;
+      });
+
+      const { _count, ...previousTutor } = tutor;
+      await AuditService.logChanges(
+        { action: 'TUTOR_UPDATED', entityType: 'Tutor', entityId: tutor.id },
+        previousTutor,
+        updatedTutor
+      );
+
+      return updatedTutor;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update tutor', 500);
+    }
+  }
+
+  /**
+   * Replace a tutor's weekly availability
+   * @param {number} id - Tutor ID
+   * @param {Array} windows - List of { dayId, startTime, endTime }
+   * @returns {Promise<Array>} New availability
+   */
+  static async setAvailability(id, windows) {
+    try {
+      if (!Array.isArray(windows)) {
+        throw new AppError('Availability must be a list of { dayId, startTime, endTime }', 400);
+      }
+
+      const tutor = await prisma.tutor.findUnique({
+        where: { id: parseInt(id) },
+        include: { availability: true }
+      });
+
+      if (!tutor) {
+        throw new AppError('Tutor not found', 404);
+      }
+
+      const rows = windows.map(window => {
+        const dayId = parseInt(window.dayId);
+        const startTime = parseTimeOfDay(window.startTime);
+        const endTime = parseTimeOfDay(window.endTime);
+
+        if (isNaN(dayId) || !startTime || !endTime) {
+          throw new AppError('Each availability window needs a day and valid start and end times', 400);
+        }
+
+        if (toMinutesOfDay(startTime) >= toMinutesOfDay(endTime)) {
+          throw new AppError('Availability end time must be after start time', 400);
+        }
+
+        return { tutorId: tutor.id, dayId, startTime, endTime };
+      });
+
+      const dayCount = await prisma.day.count({
+        where: { id: { in: [...new Set(rows.map(row => row.dayId))] } }
+      });
+
+      if (dayCount !== new Set(rows.map(row => row.dayId)).size) {
+        throw new AppError('Day not found', 404);
+      }
+
+      const availability = await prisma.$transaction(async (tx) => {
+        await tx.tutorAvailability.deleteMany({ where: { tutorId: tutor.id } });
+
+        if (rows.length > 0) {
+          await tx.tutorAvailability.createMany({ data: rows });
+        }
+
+        return tx.tutorAvailability.findMany({
+          where: { tutorId: tutor.id },
+          include: { day: true },
+          orderBy: [
+            { day: { dayOrder: 'asc' } },
+            { startTime: 'asc' }
+          ]
+        });
+      });
+
+      await AuditService.log({
+        action: 'TUTOR_AVAILABILITY_UPDATED',
+        entityType: 'Tutor',
+        entityId: tutor.id,
+        oldValues: tutor.availability,
+        newValues: rows
+      });
+
+      return availability;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update tutor availability', 500);
+    }
+  }
+
+  /**
+   * Get a tutor's weekly teaching load for a semester
+   * @param {number} id - Tutor ID
+   * @param {string} semester - Semester name
+   * @param {number} academicYear - Academic year
+   * @returns {Promise<Object>} Scheduled hours against the limit
+   */
+  static async getTeachingLoad(id, semester, academicYear) {
+    try {
+      if (!semester || !academicYear) {
+        throw new AppError('Semester and academic year are required', 400);
+      }
+
+      const tutor = await prisma.tutor.findUnique({
+        where: { id: parseInt(id) }
+      });
+
+      if (!tutor) {
+        throw new AppError('Tutor not found', 404);
+      }
+
+      const schedules = await this.getTermSchedules(prisma, tutor.id, semester, parseInt(academicYear));
+      const scheduledMinutes = schedules.reduce((total, schedule) => total + slotMinutes(schedule.timeSlot), 0);
+
+      return {
+        tutorId: tutor.id,
+        semester,
+        academicYear: parseInt(academicYear),
+        scheduleCount: schedules.length,
+        scheduledHours: Math.round((scheduledMinutes / 60) * 100) / 100,
+        maxWeeklyHours: tutor.maxWeeklyHours,
+        remainingHours: Math.round(((tutor.maxWeeklyHours * 60 - scheduledMinutes) / 60) * 100) / 100
+      };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch teaching load', 500);
+    }
+  }
+
+  /**
+   * Ensure a tutor can take a class: active, available and within their load.
+   * Overlaps with the tutor's other classes are reported by ScheduleService.findScheduleConflicts.
+   * @param {Object} params - tutorId, timeSlot, dayId, semester, academicYear, excludeScheduleId
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Tutor
+   */
+  static async assertCanTeach({ tutorId, timeSlot, dayId, semester, academicYear, excludeScheduleId = null }, client = prisma) {
+    const tutor = await client.tutor.findUnique({
+      where: { id: parseInt(tutorId) },
+      include: { availability: true, user: { select: { isActive: true } } }
+    });
+
+    if (!tutor || !tutor.isActive || !tutor.user.isActive) {
+      throw new AppError('Tutor not found or inactive', 404);
+    }
+
+    const windows = tutor.availability.filter(window => window.dayId === dayId);
+    const start = toMinutesOfDay(timeSlot.startTime);
+    const end = toMinutesOfDay(timeSlot.endTime);
+
+    if (tutor.availability.length > 0 && !windows.some(window =>
+      toMinutesOfDay(window.startTime) <= start && end <= toMinutesOfDay(window.endTime)
+    )) {
+      throw new AppError(
+        `${this.getDisplayName(tutor)} is not available ${formatTimeOfDay(timeSlot.startTime)}-${formatTimeOfDay(timeSlot.endTime)} on that day`,
+        409
+      );
+    }
+
+    const schedules = (await this.getTermSchedules(client, tutor.id, semester, academicYear))
+      .filter(schedule => schedule.id !== excludeScheduleId);
+
+    const scheduledMinutes = schedules.reduce((total, schedule) => total + slotMinutes(schedule.timeSlot), 0);
+
+    if (scheduledMinutes + slotMinutes(timeSlot) > tutor.maxWeeklyHours * 60) {
+      throw new AppError(
+        `${this.getDisplayName(tutor)} would exceed their teaching load of ${tutor.maxWeeklyHours} hours per week`,
+        409
+      );
+    }
+
+    return tutor;
+  }
+
+  /**
+   * Get the tutor profile of the signed-in user
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} Tutor
+   */
+  static async getTutorForUser(userId) {
+    const tutor = await prisma.tutor.findUnique({
+      where: { userId },
+      include: tutorInclude
+    });
+
+    if (!tutor || !tutor.isActive) {
+      throw new AppError('No active tutor profile for this account', 403);
+    }
+
+    return tutor;
+  }
+
+  /**
+   * Get the schedules a tutor teaches
+   * @param {number} userId - Tutor's user ID
+   * @param {Object} filters - semester, academicYear
+   * @returns {Promise<Array>} Schedules with approved enrollment counts
+   */
+  static async getOwnSchedules(userId, filters = {}) {
+    try {
+      const tutor = await this.getTutorForUser(userId);
+
+      const schedules = await prisma.schedule.findMany({
+        where: {
+          tutorId: tutor.id,
+          isActive: true,
+          ...(filters.semester && { semester: filters.semester }),
+          ...(filters.academicYear && { academicYear: parseInt(filters.academicYear) })
+        },
+        include: {
+          unit: true,
+          timeSlot: true,
+          day: true,
+          _count: {
+            select: {
+              enrollments: {
+                where: { status: 'APPROVED' }
+              }
+            }
+          }
+        },
+        orderBy: [
+          { day: { dayOrder: 'asc' } },
+          { timeSlot: { startTime: 'asc' } }
+        ]
+      });
+
+      return schedules;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch tutor schedules', 500);
+    }
+  }
+
+  /**
+   * Get the roster of approved students for one of the tutor's schedules
+   * @param {number} userId - Tutor's user ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Schedule and its approved enrollments
+   */
+  static async getRoster(userId, scheduleId) {
+    try {
+      const schedule = await this.getOwnSchedule(userId, scheduleId);
+
+      const enrollments = await prisma.enrollment.findMany({
+        where: { scheduleId: schedule.id, status: 'APPROVED' },
+        include: rosterInclude,
+        orderBy: [
+          { studentProfile: { lastName: 'asc' } },
+          { studentProfile: { firstName: 'asc' } }
+        ]
+      });
+
+      return { schedule, enrollments };
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch class roster', 500);
+    }
+  }
+
+  /**
+   * Export a class roster as CSV
+   * @param {number} userId - Tutor's user ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} filename and CSV text
+   */
+  static async exportRoster(userId, scheduleId) {
+    const { schedule, enrollments } = await this.getRoster(userId, scheduleId);
+
+    return {
+      filename: `roster-${schedule.unit.unitCode}-${schedule.semester}-${schedule.id}.csv`,
+      csv: toCsv(enrollments, rosterColumns)
+    };
+  }
+
+  /**
+   * Get attendance for one of the tutor's schedules
+   * @param {number} userId - Tutor's user ID
+   * @param {number} scheduleId - Schedule ID
+   * @param {string} sessionDate - Optional session date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Attendance records
+   */
+  static async getAttendance(userId, scheduleId, sessionDate) {
+    try {
+      const schedule = await this.getOwnSchedule(userId, scheduleId);
+
+      const attendance = await prisma.attendance.findMany({
+        where: {
+          enrollment: { scheduleId: schedule.id },
+          ...(sessionDate && { sessionDate: this.parseSessionDate(sessionDate) })
+        },
+        include: {
+          enrollment: {
+            select: {
+              id: true,
+              studentProfile: {
+                select: {
+                  id: true,
+                  studentId: true,
+                  firstName: true,
+                  lastName: true
+                }
+              }
+            }
+          }
+        },
+        orderBy: [
+          { sessionDate: 'asc' },
+          { enrollment: { studentProfile: { lastName: 'asc' } } }
+        ]
+      });
+
+      return attendance;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch attendance', 500);
+    }
+  }
+
+  /**
+   * Record attendance for a class session. Existing marks for the same date are overwritten.
+   * @param {number} userId - Tutor's user ID
+   * @param {number} scheduleId - Schedule ID
+   * @param {string} sessionDate - Session date (YYYY-MM-DD)
+   * @param {Array} records - List of { enrollmentId, status, notes }
+   * @returns {Promise<Array>} Saved attendance records
+   */
+  static async recordAttendance(userId, scheduleId, sessionDate, records) {
+    try {
+      const schedule = await this.getOwnSchedule(userId, scheduleId);
+      const date = this.parseSessionDate(sessionDate);
+
+      if (!Array.isArray(records) || records.length === 0) {
+        throw new AppError('Attendance records are required', 400);
+      }
+
+      const semester = await SemesterService.getSemesterByName(schedule.semester);
+      const firstDay = new Date(semester.startDate.toISOString().slice(0, 10));
+
+      if (date < firstDay || date > semester.endDate) {
+        throw new AppError(`Session date must fall within semester ${semester.name}`, 400);
+      }
+
+      // dayOrder is 1 for Monday; getUTCDay is 0 for Sunday
+      if (((date.getUTCDay() + 6) % 7) + 1 !== schedule.day.dayOrder) {
+        throw new AppError(`This class meets on ${schedule.day.name}`, 400);
+      }
+
+      const enrollments = await prisma.enrollment.findMany({
+        where: { scheduleId: schedule.id, status: { in: ['APPROVED', 'COMPLETED'] } },
+        select: { id: true }
+      });
+      const enrolledIds = new Set(enrollments.map(enrollment => enrollment.id));
+
+      const rows = records.map(record => {
+        const enrollmentId = parseInt(record.enrollmentId);
+
+        if (!enrolledIds.has(enrollmentId)) {
+          throw new AppError(`Enrollment ${record.enrollmentId} is not on this class roster`, 400);
+        }
+
+        if (!ATTENDANCE_STATUSES.includes(record.status)) {
+          throw new AppError(`Invalid attendance status for enrollment ${enrollmentId}`, 400);
+        }
+
+        return { enrollmentId, status: record.status, notes: record.notes || null };
+      });
+
+      const attendance = await prisma.$transaction(rows.map(row =>
+        prisma.attendance.upsert({
+          where: {
+            enrollmentId_sessionDate: { enrollmentId: row.enrollmentId, sessionDate: date }
+          },
+          update: {
+            status: row.status,
+            notes: row.notes,
+            recordedById: userId
+          },
+          create: {
+            ...row,
+            sessionDate: date,
+            recordedById: userId
+          }
+        })
+      ));
+
+      await AuditService.log({
+        action: 'ATTENDANCE_RECORDED',
+        entityType: 'Schedule',
+        entityId: schedule.id,
+        newValues: { sessionDate: date, records: rows }
+      });
+
+      return attendance;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to record attendance', 500);
+    }
+  }
+
+  /**
+   * Mark approved enrollments in one of the tutor's schedules as COMPLETED
+   * @param {number} userId - Tutor's user ID
+   * @param {number} scheduleId - Schedule ID
+   * @param {Array} completions - List of { enrollmentId, grade }
+   * @returns {Promise<Array>} Completed enrollments
+   */
+  static async completeEnrollments(userId, scheduleId, completions) {
+    try {
+      const schedule = await this.getOwnSchedule(userId, scheduleId);
+
+      if (!Array.isArray(completions) || completions.length === 0) {
+        throw new AppError('At least one enrollment is required', 400);
+      }
+
+      // Completion frees the seat and counts towards prerequisites, so it waits for the semester to end
+      const semester = await SemesterService.getSemesterByName(schedule.semester);
+
+      if (new Date() < semester.endDate) {
+        throw new AppError(`Enrollments can be completed once semester ${semester.name} ends on ${semester.endDate.toISOString().slice(0, 10)}`, 400);
+      }
+
+      const enrollmentIds = completions.map(completion => parseInt(completion.enrollmentId));
+
+      const enrollments = await prisma.enrollment.findMany({
+        where: { id: { in: enrollmentIds }, scheduleId: schedule.id }
+      });
+
+      for (const enrollmentId of enrollmentIds) {
+        const enrollment = enrollments.find(candidate => candidate.id === enrollmentId);
+
+        if (!enrollment) {
+          throw new AppError(`Enrollment ${enrollmentId} is not on this class roster`, 400);
+        }
+
+        if (enrollment.status !== 'APPROVED') {
+          throw new AppError(`Enrollment ${enrollmentId} is ${enrollment.status} and cannot be completed`, 400);
+        }
+      }
+
+      const completedAt = new Date();
+
+      const completed = await prisma.$transaction(async (tx) => {
+        const updated = [];
+
+        for (const completion of completions) {
+          const enrollmentId = parseInt(completion.enrollmentId);
+
+          // Only still-approved enrollments; a withdrawal or rejection made meanwhile wins
+          const result = await tx.enrollment.updateMany({
+            where: { id: enrollmentId, scheduleId: schedule.id, status: 'APPROVED' },
+            data: {
+              status: 'COMPLETED',
+              completedAt,
+              grade: completion.grade ? String(completion.grade).trim() : null
+            }
+          });
+
+          if (result.count === 0) {
+            throw new AppError(`Enrollment ${enrollmentId} is no longer approved and cannot be completed`, 409);
+          }
+
+          updated.push(await tx.enrollment.findUnique({
+            where: { id: enrollmentId },
+            include: rosterInclude
+          }));
+        }
+
+        return updated;
+      });
+
+      for (const enrollment of completed) {
+        await AuditService.log({
+          action: 'ENROLLMENT_COMPLETED',
+          entityType: 'Enrollment',
+          entityId: enrollment.id,
+          oldValues: { status: 'APPROVED' },
+          newValues: { status: 'COMPLETED', grade: enrollment.grade }
+        });
+      }
+
+      RealtimeService.publishEnrollments(completed);
+      RealtimeService.publishSeats([schedule.id]);
+
+      return completed;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to complete enrollments', 500);
+    }
+  }
+
+  /**
+   * Load a schedule, making sure the signed-in tutor teaches it
+   * @param {number} userId - Tutor's user ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Schedule
+   */
+  static async getOwnSchedule(userId, scheduleId) {
+    const tutor = await this.getTutorForUser(userId);
+
+    const schedule = await prisma.schedule.findUnique({
+      where: { id: parseInt(scheduleId) },
+      include: {
+        unit: true,
+        timeSlot: true,
+        day: true
+      }
+    });
+
+    if (!schedule) {
+      throw new AppError('Schedule not found', 404);
+    }
+
+    if (schedule.tutorId !== tutor.id) {
+      throw new AppError('You can only access schedules you teach', 403);
+    }
+
+    return schedule;
+  }
+
+  static parseSessionDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+      throw new AppError('Session date must be in YYYY-MM-DD format', 400);
+    }
+
+    const date = new Date(`${value}T00:00:00.000Z`);
+
+    if (isNaN(date.getTime())) {
+      throw new AppError('Invalid session date', 400);
+    }
+
+    return date;
+  }
+
+  static getDisplayName(tutor) {
+    return `${tutor.firstName} ${tutor.lastName}`;
+  }
+
+  static async getTermSchedules(client, tutorId, semester, academicYear) {
+    return client.schedule.findMany({
+      where: {
+        tutorId,
+        semester,
+        academicYear,
+        isActive: true
+      },
+      include: {
+        unit: true,
+        timeSlot: true,
+        day: true
+      }
+    });
+  }
+
+  static parseWeeklyHours(value) {
+    const hours = parseInt(value);
+
+    if (isNaN(hours) || hours <= 0) {
+      throw new AppError('Maximum weekly hours must be a positive number', 400);
+    }
+
+    return hours;
+  }
+}
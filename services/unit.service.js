@@ -1,6 +1,7 @@
 // services/unit.service.js
 import { PrismaClient } from '@prisma/client';
 import {AppError} from '../utils/errors.js';
+import AuditService from './audit.service.js';
 
 const prisma = new PrismaClient();
 
@@ -8,19 +9,7 @@ export default class UnitService {
 
   static async getAllUnits(filters = {}, page = 1, limit = 10) {
     try {
-      const where = {
-        isActive: true,
-        ...(filters.search && {
-          OR: [
-            { unitCode: { contains: filters.search, mode: 'insensitive' } },
-            { title: { contains: filters.search, mode: 'insensitive' } },
-            { description: { contains: filters.search, mode: 'insensitive' } }
-          ]
-        }),
-        ...(filters.credits && { credits: parseInt(filters.credits) }),
-        ...(filters.minCredits && { credits: { gte: parseInt(filters.minCredits) } }),
-        ...(filters.maxCredits && { credits: { lte: parseInt(filters.maxCredits) } })
-      };
+      const where = this.buildUnitFilter(filters);
 
       const skip = (page - 1) * limit;
       
@@ -62,6 +51,23 @@ export default class UnitService {
   }
 
   
+  static buildUnitFilter(filters = {}) {
+    return {
+      isActive: true,
+      ...(filters.search && {
+        OR: [
+          { unitCode: { contains: filters.search } },
+          { title: { contains: filters.search } },
+          { description: { contains: filters.search } }
+        ]
+      }),
+      ...(filters.credits && { credits: parseInt(filters.credits) }),
+      ...(filters.minCredits && { credits: { gte: parseInt(filters.minCredits) } }),
+      ...(filters.maxCredits && { credits: { lte: parseInt(filters.maxCredits) } })
+    };
+  }
+
+
   static async getUnitById(id) {
     try {
       const unit = await prisma.unit.findUnique({
@@ -103,25 +109,13 @@ export default class UnitService {
 
   static async createUnit(data) {
     try {
-      const { unitCode, title, description, credits, capacity } = data;
+      const unit = await this.insertUnit(data);
 
-      // Check if unit code already exists
-      const existingUnit = await prisma.unit.findUnique({
-        where: { unitCode }
-      });
-
-      if (existingUnit) {
-        throw new AppError('Unit code already exists', 409);
-      }
-
-      const unit = await prisma.unit.create({
-        data: {
-          unitCode: unitCode.toUpperCase(),
-          title,
-          description: description || null,
-          credits: parseInt(credits),
-          capacity: parseInt(capacity)
-        }
+      await AuditService.log({
+        action: 'UNIT_CREATED',
+        entityType: 'Unit',
+        entityId: unit.id,
+        newValues: unit
       });
 
       return unit;
@@ -134,6 +128,48 @@ export default class UnitService {
   }
 
 
+  /**
+   * Validate and create a unit without auditing, so imports can run it inside a transaction
+   * @param {Object} data - unitCode, title, description, credits, capacity
+   * @param {Object} client - Prisma client or transaction client
+   * @returns {Promise<Object>} Created unit
+   */
+  static async insertUnit(data, client = prisma) {
+    const { unitCode, title, description, credits, capacity } = data;
+
+    if (!unitCode || !title || !credits || !capacity) {
+      throw new AppError('Unit code, title, credits, and capacity are required', 400);
+    }
+
+    if (isNaN(parseInt(credits)) || parseInt(credits) <= 0) {
+      throw new AppError('Credits must be a positive number', 400);
+    }
+
+    if (isNaN(parseInt(capacity)) || parseInt(capacity) <= 0) {
+      throw new AppError('Capacity must be a positive number', 400);
+    }
+
+    // Check if unit code already exists
+    const existingUnit = await client.unit.findUnique({
+      where: { unitCode: unitCode.toUpperCase() }
+    });
+
+    if (existingUnit) {
+      throw new AppError('Unit code already exists', 409);
+    }
+
+    return client.unit.create({
+      data: {
+        unitCode: unitCode.toUpperCase(),
+        title,
+        description: description || null,
+        credits: parseInt(credits),
+        capacity: parseInt(capacity)
+      }
+    });
+  }
+
+
   static async updateUnit(id, data) {
     try {
       const unit = await prisma.unit.findUnique({
@@ -155,6 +191,27 @@ export default class UnitService {
         }
       }
 
+      if (data.capacity && parseInt(data.capacity) !== unit.capacity) {
+        const capacity = parseInt(data.capacity);
+
+        // Roomed classes without their own max capacity take the unit's, so it must still fit the room
+        const schedules = await prisma.schedule.findMany({
+          where: { unitId: unit.id, isActive: true, roomId: { not: null } },
+          include: { room: true }
+        });
+
+        const tooSmall = schedules.filter(schedule => !schedule.maxCapacity && capacity > schedule.room.seats);
+
+        if (tooSmall.length > 0) {
+          throw new AppError(
+            `Capacity ${capacity} exceeds the seats in rooms used by this unit's classes: ` +
+              [...new Set(tooSmall.map(schedule => `${schedule.room.name} (${schedule.room.seats})`))].join(', ') +
+              '; set a max capacity on those classes first',
+            400
+          );
+        }
+      }
+
       const updatedUnit = await prisma.unit.update({
         where: { id: parseInt(id) },
         data: {
@@ -166,6 +223,12 @@ export default class UnitService {
         }
       });
 
+      await AuditService.logChanges(
+        { action: 'UNIT_UPDATED', entityType: 'Unit', entityId: unit.id },
+        unit,
+        updatedUnit
+      );
+
       return updatedUnit;
     } catch (error) {
       if (error instanceof AppError) {
@@ -210,6 +273,14 @@ export default class UnitService {
         data: { isActive: false }
       });
 
+      await AuditService.log({
+        action: 'UNIT_DEACTIVATED',
+        entityType: 'Unit',
+        entityId: unit.id,
+        oldValues: { isActive: unit.isActive },
+        newValues: { isActive: false }
+      });
+
       return updatedUnit;
     } catch (error) {
       if (error instanceof AppError) {
@@ -226,9 +297,9 @@ export default class UnitService {
         where: {
           isActive: true,
           OR: [
-            { unitCode: { contains: query, mode: 'insensitive' } },
-            { title: { contains: query, mode: 'insensitive' } },
-            { description: { contains: query, mode: 'insensitive' } }
+            { unitCode: { contains: query } },
+            { title: { contains: query } },
+            { description: { contains: query } }
           ]
         },
         take: limit,
@@ -322,5 +393,266 @@ export default class UnitService {
       throw new AppError('Failed to fetch unit statistics', 500);
     }
   }
-}
 
+
+  static async getUnitRequisites(id) {
+    try {
+      const unit = await prisma.unit.findUnique({
+        where: { id: parseInt(id) },
+        include: {
+          requisites: {
+            include: {
+              requiredUnit: {
+                select: { id: true, unitCode: true, title: true }
+              }
+            },
+            orderBy: [{ type: 'asc' }, { groupNumber: 'asc' }]
+          }
+        }
+      });
+
+      if (!unit) {
+        throw new AppError('Unit not found', 404);
+      }
+
+      return this.formatRequisites(unit.requisites);
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch unit requisites', 500);
+    }
+  }
+
+
+  /**
+   * Replace a unit's requisite rules.
+   * prerequisites and corequisites are lists of groups, each group a list of unit IDs:
+   * [[1, 2], [3]] means (1 OR 2) AND 3. antirequisites is a flat list of unit IDs.
+   */
+  static async setUnitRequisites(id, data) {
+    try {
+      const unitId = parseInt(id);
+      const unit = await prisma.unit.findUnique({
+        where: { id: unitId }
+      });
+
+      if (!unit) {
+        throw new AppError('Unit not found', 404);
+      }
+
+      const prerequisites = this.normalizeGroups(data.prerequisites, 'prerequisites');
+      const corequisites = this.normalizeGroups(data.corequisites, 'corequisites');
+      const antirequisites = this.normalizeGroups(
+        Array.isArray(data.antirequisites) && data.antirequisites.length > 0 ? [data.antirequisites] : [],
+        'antirequisites'
+      );
+
+      const rows = [
+        ...this.toRequisiteRows(unitId, 'PREREQUISITE', prerequisites),
+        ...this.toRequisiteRows(unitId, 'COREQUISITE', corequisites),
+        ...this.toRequisiteRows(unitId, 'ANTIREQUISITE', antirequisites)
+      ];
+
+      if (rows.some(row => row.requiredUnitId === unitId)) {
+        throw new AppError('A unit cannot reference itself as a requisite', 400);
+      }
+
+      const excluded = new Set(antirequisites.flat());
+      if ([...prerequisites.flat(), ...corequisites.flat()].some(requiredId => excluded.has(requiredId))) {
+        throw new AppError('A unit cannot be both required and excluded', 400);
+      }
+
+      const referencedIds = [...new Set(rows.map(row => row.requiredUnitId))];
+      const referencedCount = await prisma.unit.count({
+        where: { id: { in: referencedIds } }
+      });
+
+      if (referencedCount !== referencedIds.length) {
+        throw new AppError('One or more requisite units do not exist', 400);
+      }
+
+      await this.checkPrerequisiteCycle(unitId, prerequisites.flat());
+
+      const previous = await this.getUnitRequisites(unitId);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.unitRequisite.deleteMany({ where: { unitId } });
+
+        if (rows.length > 0) {
+          await tx.unitRequisite.createMany({ data: rows });
+        }
+      });
+
+      const requisites = await this.getUnitRequisites(unitId);
+
+      await AuditService.log({
+        action: 'UNIT_REQUISITES_UPDATED',
+        entityType: 'Unit',
+        entityId: unitId,
+        oldValues: previous,
+        newValues: requisites
+      });
+
+      return requisites;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update unit requisites', 500);
+    }
+  }
+
+
+  /**
+   * Check a student's history against a unit's requisite rules.
+   * history.completedUnitIds - units with a COMPLETED enrollment
+   * history.concurrentUnitIds - units held PENDING/APPROVED in the same semester
+   * history.activeUnitIds - units held PENDING/APPROVED/WAITLISTED in any semester
+   */
+  static async checkRequisites(unitId, history, client = prisma) {
+    const requisites = await client.unitRequisite.findMany({
+      where: {
+        OR: [
+          { unitId },
+          // Exclusions apply both ways
+          { requiredUnitId: unitId, type: 'ANTIREQUISITE' }
+        ]
+      },
+      include: {
+        unit: { select: { id: true, unitCode: true } },
+        requiredUnit: { select: { id: true, unitCode: true } }
+      }
+    });
+
+    const failures = [];
+    const groups = new Map();
+
+    for (const requisite of requisites) {
+      if (requisite.type === 'ANTIREQUISITE') {
+        const other = requisite.unitId === unitId ? requisite.requiredUnit : requisite.unit;
+
+        if (history.completedUnitIds.has(other.id) || history.activeUnitIds.has(other.id)) {
+          failures.push({
+            type: 'ANTIREQUISITE',
+            units: [other.unitCode],
+            message: `Cannot be taken together with ${other.unitCode}`
+          });
+        }
+        continue;
+      }
+
+      const key = `${requisite.type}:${requisite.groupNumber}`;
+      if (!groups.has(key)) {
+        groups.set(key, { type: requisite.type, groupNumber: requisite.groupNumber, units: [] });
+      }
+      groups.get(key).units.push(requisite.requiredUnit);
+    }
+
+    for (const group of groups.values()) {
+      const satisfied = group.units.some(required =>
+        history.completedUnitIds.has(required.id) ||
+        (group.type === 'COREQUISITE' && history.concurrentUnitIds.has(required.id))
+      );
+
+      if (!satisfied) {
+        const codes = group.units.map(required => required.unitCode);
+        const label = group.type === 'PREREQUISITE' ? 'Prerequisite' : 'Co-requisite';
+        const requirement = group.type === 'PREREQUISITE' ? 'completion of' : 'completion of or concurrent enrollment in';
+
+        failures.push({
+          type: group.type,
+          groupNumber: group.groupNumber,
+          units: codes,
+          message: `${label} not met: requires ${requirement} ${codes.join(' or ')}`
+        });
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new AppError(failures.map(failure => failure.message).join('; '), 400, { failedRules: failures });
+    }
+  }
+
+
+  static formatRequisites(requisites) {
+    const grouped = { prerequisites: [], corequisites: [], antirequisites: [] };
+    const keys = { PREREQUISITE: 'prerequisites', COREQUISITE: 'corequisites' };
+
+    for (const requisite of requisites) {
+      if (requisite.type === 'ANTIREQUISITE') {
+        grouped.antirequisites.push(requisite.requiredUnit);
+        continue;
+      }
+
+      const list = grouped[keys[requisite.type]];
+      let group = list.find(entry => entry.groupNumber === requisite.groupNumber);
+      if (!group) {
+        group = { groupNumber: requisite.groupNumber, anyOf: [] };
+        list.push(group);
+      }
+      group.anyOf.push(requisite.requiredUnit);
+    }
+
+    return grouped;
+  }
+
+
+  static normalizeGroups(groups, field) {
+    if (groups === undefined || groups === null) {
+      return [];
+    }
+
+    if (!Array.isArray(groups) || groups.some(group => !Array.isArray(group) || group.length === 0)) {
+      throw new AppError(`${field} must be a list of non-empty unit ID lists`, 400);
+    }
+
+    return groups.map(group => group.map(unitId => {
+      const parsed = parseInt(unitId);
+      if (isNaN(parsed)) {
+        throw new AppError(`${field} contains an invalid unit ID`, 400);
+      }
+      return parsed;
+    }));
+  }
+
+
+  static toRequisiteRows(unitId, type, groups) {
+    const rows = [];
+    const seen = new Set();
+
+    groups.forEach((group, index) => {
+      for (const requiredUnitId of group) {
+        if (seen.has(requiredUnitId)) {
+          throw new AppError(`Unit ${requiredUnitId} appears more than once in ${type.toLowerCase()} rules`, 400);
+        }
+        seen.add(requiredUnitId);
+        rows.push({ unitId, requiredUnitId, type, groupNumber: index + 1 });
+      }
+    });
+
+    return rows;
+  }
+
+
+  static async checkPrerequisiteCycle(unitId, prerequisiteIds) {
+    // Walk the existing prerequisite graph from the new prerequisites; reaching unitId means a cycle
+    const visited = new Set();
+    let frontier = [...prerequisiteIds];
+
+    while (frontier.length > 0) {
+      if (frontier.includes(unitId)) {
+        throw new AppError('Prerequisite rules would create a cycle', 400);
+      }
+
+      frontier.forEach(id => visited.add(id));
+
+      const next = await prisma.unitRequisite.findMany({
+        where: { unitId: { in: frontier }, type: 'PREREQUISITE' },
+        select: { requiredUnitId: true }
+      });
+
+      frontier = [...new Set(next.map(row => row.requiredUnitId))].filter(id => !visited.has(id));
+    }
+  }
+}
@@ -0,0 +1,327 @@
+// services/user.service.js
+
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { AppError } from '../utils/errors.js';
+import { validateEmail, validatePassword } from '../utils/validation.js';
+import { AuthService } from './auth.service.js';
+import AuditService from './audit.service.js';
+
+const prisma = new PrismaClient();
+
+const ROLES = ['STUDENT', 'ADMIN', 'TUTOR'];
+
+// Never expose the password hash
+const userSelect = {
+  id: true,
+  email: true,
+  role: true,
+  isActive: true,
+  lockedUntil: true,
+  createdAt: true,
+  updatedAt: true,
+  studentProfile: {
+    select: {
+      id: true,
+      studentId: true,
+      firstName: true,
+      lastName: true,
+      program: true,
+      yearLevel: true
+    }
+  }
+};
+
+export default class UserService {
+  /**
+   * Get all users with filters
+   * @param {Object} filters - Filter options
+   * @param {number} page - Page number
+   * @param {number} limit - Items per page
+   * @returns {Promise<Object>} Users with pagination
+   */
+  static async getAllUsers(filters = {}, page = 1, limit = 20) {
+    try {
+      const where = {
+        ...(filters.role && { role: filters.role }),
+        ...(filters.isActive !== undefined && { isActive: filters.isActive }),
+        ...(filters.search && {
+          OR: [
+            { email: { contains: filters.search } },
+            { studentProfile: { is: { studentId: { contains: filters.search } } } },
+            { studentProfile: { is: { firstName: { contains: filters.search } } } },
+            { studentProfile: { is: { lastName: { contains: filters.search } } } }
+          ]
+        })
+      };
+
+      const skip = (page - 1) * limit;
+
+      const [users, totalCount] = await Promise.all([
+        prisma.user.findMany({
+          where,
+          skip,
+          take: limit,
+          orderBy: { createdAt: 'desc' },
+          select: userSelect
+        }),
+        prisma.user.count({ where })
+      ]);
+
+      return {
+        users,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalCount / limit),
+          totalItems: totalCount,
+          hasNext: page < Math.ceil(totalCount / limit),
+          hasPrev: page > 1
+        }
+      };
+    } catch (error) {
+      throw new AppError('Failed to fetch users', 500);
+    }
+  }
+
+  /**
+   * Get user by ID
+   * @param {number} id - User ID
+   * @returns {Promise<Object>} User details
+   */
+  static async getUserById(id) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: parseInt(id) },
+        select: userSelect
+      });
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      return user;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to fetch user', 500);
+    }
+  }
+
+  /**
+   * Create a staff (tutor or admin) account
+   * @param {Object} data - Account data
+   * @param {number} adminId - ID of the acting admin
+   * @returns {Promise<Object>} Created user
+   */
+  static async createUser(data, adminId) {
+    try {
+      const { email, password, role } = data;
+
+      if (!['TUTOR', 'ADMIN'].includes(role)) {
+        throw new AppError('Only TUTOR and ADMIN accounts can be created here; students self-register', 400);
+      }
+
+      if (!validateEmail(email)) {
+        throw new AppError('Invalid email format', 400);
+      }
+
+      if (!validatePassword(password)) {
+        throw new AppError('Password must be at least 8 characters long and contain uppercase, lowercase, number, and special character', 400);
+      }
+
+      const existingUser = await prisma.user.findUnique({
+        where: { email }
+      });
+
+      if (existingUser) {
+        throw new AppError('User already exists with this email', 409);
+      }
+
+      const user = await prisma.user.create({
+        data: {
+          email,
+          password: await AuthService.hashPassword(password),
+          role
+        },
+        select: userSelect
+      });
+
+      await AuditService.log({
+        userId: adminId,
+        action: 'USER_CREATED',
+        entityType: 'User',
+        entityId: user.id,
+        newValues: { email, role }
+      });
+
+      return user;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to create user', 500);
+    }
+  }
+
+  /**
+   * Change a user's role
+   * @param {number} id - User ID
+   * @param {string} role - New role
+   * @param {number} adminId - ID of the acting admin
+   * @returns {Promise<Object>} Updated user
+   */
+  static async changeRole(id, role, adminId) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw new AppError('Invalid role', 400);
+      }
+
+      const user = await this.getManagedUser(id, adminId);
+
+      if (user.role === role) {
+        throw new AppError(`User already has role ${role}`, 400);
+      }
+
+      if (role === 'STUDENT' && !user.studentProfile) {
+        throw new AppError('User has no student profile and cannot become a student', 400);
+      }
+
+      if (user.tutorProfile) {
+        const scheduleCount = await prisma.schedule.count({
+          where: { tutorId: user.tutorProfile.id, isActive: true }
+        });
+
+        if (scheduleCount > 0) {
+          throw new AppError('Tutor still has active schedules; reassign them first', 400);
+        }
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data: { role },
+        select: userSelect
+      });
+
+      await AuditService.log({
+        userId: adminId,
+        action: 'USER_ROLE_CHANGED',
+        entityType: 'User',
+        entityId: user.id,
+        oldValues: { role: user.role },
+        newValues: { role }
+      });
+
+      return updatedUser;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to change role', 500);
+    }
+  }
+
+  /**
+   * Deactivate or reactivate a user account
+   * @param {number} id - User ID
+   * @param {boolean} isActive - New active state
+   * @param {number} adminId - ID of the acting admin
+   * @returns {Promise<Object>} Updated user
+   */
+  static async setActive(id, isActive, adminId) {
+    try {
+      const user = await this.getManagedUser(id, adminId);
+
+      if (user.isActive === isActive) {
+        throw new AppError(`User is already ${isActive ? 'active' : 'deactivated'}`, 400);
+      }
+
+      const updatedUser = await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          isActive,
+          // Reactivation also clears any brute-force lockout
+          ...(isActive && { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null })
+        },
+        select: userSelect
+      });
+
+      if (!isActive) {
+        await AuthService.revokeAllUserTokens(user.id);
+      }
+
+      await AuditService.log({
+        userId: adminId,
+        action: isActive ? 'USER_REACTIVATED' : 'USER_DEACTIVATED',
+        entityType: 'User',
+        entityId: user.id,
+        oldValues: { isActive: user.isActive },
+        newValues: { isActive }
+      });
+
+      return updatedUser;
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to update account status', 500);
+    }
+  }
+
+  /**
+   * Force a user to reset their password
+   * @param {number} id - User ID
+   * @param {number} adminId - ID of the acting admin
+   * @returns {Promise<void>}
+   */
+  static async forcePasswordReset(id, adminId) {
+    try {
+      const user = await this.getManagedUser(id, adminId);
+
+      // Replace the password with an unusable one so only the OTP flow can restore access
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { password: await AuthService.hashPassword(crypto.randomBytes(32).toString('hex')) }
+      });
+
+      await AuthService.revokeAllUserTokens(user.id);
+      await AuthService.requestPasswordReset(user.email);
+
+      await AuditService.log({
+        userId: adminId,
+        action: 'PASSWORD_RESET_FORCED',
+        entityType: 'User',
+        entityId: user.id
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw error;
+      }
+      throw new AppError('Failed to force password reset', 500);
+    }
+  }
+
+  /**
+   * Load a user an admin is about to modify
+   * @param {number} id - User ID
+   * @param {number} adminId - ID of the acting admin
+   * @returns {Promise<Object>} User
+   */
+  static async getManagedUser(id, adminId) {
+    const user = await prisma.user.findUnique({
+      where: { id: parseInt(id) },
+      include: { studentProfile: true, tutorProfile: true }
+    });
+
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    // Admins must not lock themselves out
+    if (user.id === adminId) {
+      throw new AppError('You cannot modify your own account here', 400);
+    }
+
+    return user;
+  }
+}
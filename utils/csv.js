@@ -0,0 +1,100 @@
+// utils/csv.js
+
+/**
+ * Stop spreadsheet apps from running text as a formula by prefixing risky leading characters with '
+ * @param {string} text - Cell text
+ * @returns {string} Safe cell text
+ */
+function neutralizeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else if (typeof value === 'string') {
+    text = neutralizeFormula(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} rows - Records to write
+ * @param {Array<{header: string, value: Function}>} columns - Column definitions
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a CSV document whose first row holds the headers
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, keyed by header
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+  const keys = headers.map(header => header.trim());
+
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] ?? '').trim()])));
+}
@@ -0,0 +1,130 @@
+// utils/emailTemplates.js
+
+const APP_NAME = 'Enrollment System';
+
+// Each template returns a subject and its body as paragraphs; an array paragraph renders as a list.
+// The HTML and text versions are both built from the same content so they never drift apart.
+const TEMPLATES = {
+  PASSWORD_RESET_OTP: data => ({
+    subject: 'Password Reset OTP',
+    body: [
+      `Your OTP is ${data.otp}. It expires in ${data.expiresInMinutes} minutes.`,
+      'If you did not ask to reset your password you can ignore this email.'
+    ]
+  }),
+
+  ENROLLMENT_APPROVED: data => ({
+    subject: `Enrollment approved: ${data.unitCode}`,
+    body: [
+      `Hi ${data.firstName},`,
+      `Your enrollment in ${data.unitCode} ${data.unitTitle} has been approved.`,
+      `Class: ${data.classTime}`
+    ]
+  }),
+
+  ENROLLMENT_REJECTED: data => ({
+    subject: `Enrollment not approved: ${data.unitCode}`,
+    body: [
+      `Hi ${data.firstName},`,
+      `Your enrollment request for ${data.unitCode} ${data.unitTitle} was not approved.`,
+      ...(data.rejectionReason ? [`Reason: ${data.rejectionReason}`] : [])
+    ]
+  }),
+
+  ENROLLMENT_WAITLISTED: data => ({
+    subject: `Waitlisted: ${data.unitCode}`,
+    body: [
+      `Hi ${data.firstName},`,
+      `${data.unitCode} ${data.unitTitle} (${data.classTime}) is full, so you have been placed on the waitlist at position ${data.waitlistPosition}.`,
+      'We will email you if a seat becomes available.'
+    ]
+  }),
+
+  ENROLLMENT_PROMOTED: data => ({
+    subject: `A seat opened up: ${data.unitCode}`,
+    body: [
+      `Hi ${data.firstName},`,
+      `A seat became available in ${data.unitCode} ${data.unitTitle} and you have been moved off the waitlist. You are now enrolled.`,
+      `Class: ${data.classTime}`
+    ]
+  }),
+
+  SCHEDULE_CHANGED: data => ({
+    subject: `Class changed: ${data.unitCode}`,
+    body: [
+      `Hi ${data.firstName},`,
+      `Your ${data.unitCode} ${data.unitTitle} class has changed:`,
+      data.changes,
+      `Class now: ${data.classTime}`
+    ]
+  }),
+
+  ENROLLMENT_WINDOW_OPEN: data => ({
+    subject: `Enrollment is open for ${data.semester}`,
+    body: [
+      `Hi ${data.firstName},`,
+      `Enrollment for semester ${data.semester} is now open and closes on ${data.enrollmentEnd}.`,
+      'Sign in to choose your classes.'
+    ]
+  })
+};
+
+export const EMAIL_TEMPLATES = Object.keys(TEMPLATES);
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderText(subject, body) {
+  const paragraphs = body.map(part =>
+    Array.isArray(part) ? part.map(item => `- ${item}`).join('\n') : part
+  );
+
+  return `${paragraphs.join('\n\n')}\n\n--\n${APP_NAME}\n`;
+}
+
+function renderHtml(subject, body) {
+  const paragraphs = body.map(part =>
+    Array.isArray(part)
+      ? `<ul>${part.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+      : `<p>${escapeHtml(part)}</p>`
+  );
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<body style="font-family: Arial, Helvetica, sans-serif; color: #222; line-height: 1.5;">',
+    `<h2 style="font-size: 18px;">${escapeHtml(subject)}</h2>`,
+    ...paragraphs,
+    `<p style="color: #777; font-size: 12px;">${APP_NAME}</p>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Render an email template
+ * @param {string} template - Template key
+ * @param {Object} data - Template values
+ * @returns {{subject: string, text: string, html: string}} Rendered email
+ */
+export function renderEmail(template, data) {
+  const build = TEMPLATES[template];
+
+  if (!build) {
+    throw new Error(`Unknown email template ${template}`);
+  }
+
+  const { subject, body } = build(data);
+
+  return {
+    subject,
+    text: renderText(subject, body),
+    html: renderHtml(subject, body)
+  };
+}
@@ -1,8 +1,9 @@
 // utils/errors.js
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details = null) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.name = "AppError";
     Error.captureStackTrace(this, this.constructor);
   }
@@ -0,0 +1,75 @@
+// utils/mailTransport.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Every transport exposes send({ from, to, subject, text, html }) and rejects when delivery fails.
+// MAIL_TRANSPORT picks one: "smtp" (default), "file" to write .eml files to MAIL_FILE_DIR, or "console".
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port: process.env.SMTP_PORT || 465,
+    secure: true,
+    auth: {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport(directory = process.env.MAIL_FILE_DIR || 'mail-outbox') {
+  // nodemailer builds the raw message; we only write it to disk
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    send: async message => {
+      const info = await transporter.sendMail(message);
+      const filename = `${Date.now()}-${info.messageId.replace(/[^\w.-]+/g, '_')}.eml`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, filename), info.message);
+
+      return info;
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async message => {
+      console.log(`📧 To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { messageId: `console-${Date.now()}` };
+    }
+  };
+}
+
+let transport = null;
+
+export function getMailTransport() {
+  if (!transport) {
+    const kind = process.env.MAIL_TRANSPORT || 'smtp';
+    transport = kind === 'file'
+      ? createFileTransport()
+      : kind === 'console'
+        ? createConsoleTransport()
+        : createSmtpTransport();
+  }
+
+  return transport;
+}
+
+// Swap the transport at runtime, e.g. for a test sink that records messages
+export function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+export { createSmtpTransport, createFileTransport, createConsoleTransport };
@@ -0,0 +1,27 @@
+// utils/requestContext.js
+import { AsyncLocalStorage } from "async_hooks";
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware: everything that runs while handling the request can read its context
+export function requestContextMiddleware(req, res, next) {
+  const context = {
+    userId: null,
+    ipAddress: req.ip || null,
+    userAgent: req.get("user-agent") || null,
+  };
+
+  storage.run(context, () => next());
+}
+
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+// Called by authMiddleware once the user is known
+export function setRequestUser(userId) {
+  const context = storage.getStore();
+  if (context) {
+    context.userId = userId;
+  }
+}
@@ -0,0 +1,84 @@
+// utils/spreadsheet.js
+
+import ExcelJS from 'exceljs';
+import { parseCsv } from './csv.js';
+
+export const CSV_TYPE = 'text/csv';
+export const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  // Rich text, hyperlinks and formulas carry their display value in a nested field
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+
+  return String(value).trim();
+}
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file, using its first row as headers
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} contentType - Request content type
+ * @returns {Promise<Array<Object>>} One object per data row, keyed by header
+ */
+export async function readSpreadsheet(buffer, contentType = '') {
+  if (contentType.startsWith(XLSX_TYPE)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return [];
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, row => {
+      rows.push(Array.from(row.values.slice(1), cellText));
+    });
+
+    const [headers = [], ...dataRows] = rows;
+    return dataRows
+      .filter(row => row.some(value => value !== ''))
+      .map(row => Object.fromEntries(headers.map((header, index) => [header, row[index] ?? ''])));
+  }
+
+  return parseCsv(buffer.toString('utf8'));
+}
+
+/**
+ * Build an XLSX workbook with a single sheet
+ * @param {Array<Object>} rows - Records to write
+ * @param {Array<{header: string, value: Function}>} columns - Column definitions, as for toCsv
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+export async function toXlsx(rows, columns, sheetName = 'Sheet1') {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    width: Math.max(12, column.header.length + 2)
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    worksheet.addRow(columns.map(column => {
+      const value = column.value(row);
+      return value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+    }));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
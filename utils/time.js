@@ -0,0 +1,40 @@
+// utils/time.js
+
+// Time slots store a full DateTime but only the time of day matters for a weekly timetable
+export function toMinutesOfDay(value) {
+  const date = new Date(value);
+  return date.getUTCHours() * 60 + date.getUTCMinutes();
+}
+
+export function timeRangesOverlap(startA, endA, startB, endB) {
+  return toMinutesOfDay(startA) < toMinutesOfDay(endB) &&
+    toMinutesOfDay(startB) < toMinutesOfDay(endA);
+}
+
+export function formatTimeOfDay(value) {
+  const minutes = toMinutesOfDay(value);
+  const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+  return `${hours}:${(minutes % 60).toString().padStart(2, '0')}`;
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Accepts milliseconds or a string such as "900ms", "30s", "15m", "12h", "7d"; bare numbers are milliseconds
+export function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+  }
+
+  const match = /^(\d+)\s*(ms|s|m|h|d)?$/.exec(String(value).trim());
+  return match ? parseInt(match[1]) * DURATION_UNITS[match[2] || 'ms'] : null;
+}
+
+// Accepts "HH:MM" or anything Date understands; "HH:MM" is anchored to 1970-01-01 UTC like time slots
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  const date = match
+    ? new Date(Date.UTC(1970, 0, 1, parseInt(match[1]), parseInt(match[2])))
+    : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,369 @@
+// utils/timetableSolver.js
+
+import { Worker } from 'worker_threads';
+
+// Penalties for soft preferences; a lower total is a better timetable
+const WEIGHTS = {
+  roomFit: 10, // Scaled by the share of empty seats
+  sameDaySession: 20, // Two sessions of one offering on the same day
+  unpreferredDay: 5,
+  avoidedTimeSlot: 10,
+  cohortDayLoad: 3, // Per class the cohort already has that day
+  tutorDayLoad: 2 // Per class the tutor already teaches that day
+};
+
+const REJECTIONS = {
+  room: 'no room with enough seats and the required features',
+  roomBusy: 'every suitable room is booked',
+  tutorUnavailable: 'the tutor is not available',
+  tutorBusy: 'the tutor is already teaching',
+  tutorLoad: "the tutor's teaching load would be exceeded",
+  cohortBusy: 'the cohort already has a class',
+  sessionOverlap: 'another session of the unit overlaps'
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const sameCohort = (a, b) =>
+  Boolean(a.program) && a.program === b.program &&
+  (!a.yearLevel || !b.yearLevel || a.yearLevel === b.yearLevel);
+
+/**
+ * Build a clash-free timetable greedily, placing the most constrained session first
+ * and giving each one its lowest-penalty feasible option.
+ *
+ * Options are kept per session and per day/slot cell. A placement only changes the cells it
+ * can affect, so after each step just those are evaluated again instead of the whole grid.
+ * @param {Object} input - offerings, days, timeSlots, rooms, tutors, bookings, preferences
+ * @returns {Object} entries, unplaced and total penalty
+ */
+export function solveTimetable({ offerings, days, timeSlots, rooms, tutors, bookings = [], preferences = {} }) {
+  const tutorLoad = new Map([...tutors.values()].map(tutor => [tutor.id, tutor.loadMinutes || 0]));
+  const preferredDays = new Set(preferences.preferredDayIds || []);
+  const avoidedSlots = new Set(preferences.avoidTimeSlotIds || []);
+
+  // Placed bookings indexed by day, and by every day/slot cell whose window they overlap
+  const byDay = new Map(days.map(day => [day.id, []]));
+  const byCell = new Map();
+  const cellKey = (dayId, slotId) => `${dayId}:${slotId}`;
+
+  const place = booking => {
+    if (!byDay.has(booking.dayId)) {
+      return;
+    }
+
+    byDay.get(booking.dayId).push(booking);
+
+    for (const slot of timeSlots) {
+      if (overlaps(booking, slot)) {
+        const key = cellKey(booking.dayId, slot.id);
+
+        if (!byCell.has(key)) {
+          byCell.set(key, []);
+        }
+        byCell.get(key).push(booking);
+      }
+    }
+  };
+
+  bookings.forEach(booking => place({ ...booking }));
+
+  const pending = offerings.flatMap(offering => {
+    const fittingRooms = rooms.filter(room =>
+      room.seats >= offering.capacity &&
+      (offering.requiredFeatures || []).every(feature => room.features.includes(feature))
+    );
+
+    return Array.from({ length: offering.sessions || 1 }, (_, index) => ({
+      offering,
+      session: index + 1,
+      fittingRooms,
+      fittingRoomIds: new Set(fittingRooms.map(room => room.id)),
+      tutorChoices: offering.tutorIds.length > 0 ? offering.tutorIds : [null],
+      cells: new Map()
+    }));
+  });
+
+  const entries = [];
+  const unplaced = [];
+
+  // Options of one session in one day/slot cell, with the cheapest kept aside for ranking
+  const evaluateCell = (item, day, slot) => {
+    const { options, rejected } = evaluateOptions(item, day, slot);
+    const best = options.reduce((a, b) => (!a || b.penalty < a.penalty ? b : a), null);
+
+    return { count: options.length, best, rejected };
+  };
+
+  const evaluateOptions = ({ offering, fittingRooms, tutorChoices }, day, slot) => {
+    const options = [];
+    const rejected = {};
+    const reject = reason => { rejected[reason] = (rejected[reason] || 0) + 1; };
+
+    const dayBookings = byDay.get(day.id);
+    const concurrent = byCell.get(cellKey(day.id, slot.id)) || [];
+
+    // A unit can only run once per slot and day, and its own sessions must not overlap
+    if (concurrent.some(booking =>
+      booking.offeringKey === offering.key ||
+      (booking.unitId === offering.unitId && booking.timeSlotId === slot.id)
+    )) {
+      reject('sessionOverlap');
+      return { options, rejected };
+    }
+
+    if (offering.program && concurrent.some(booking => sameCohort(offering, booking))) {
+      reject('cohortBusy');
+      return { options, rejected };
+    }
+
+    for (const tutorId of tutorChoices) {
+      const tutor = tutorId ? tutors.get(tutorId) : null;
+
+      if (tutor) {
+        if (tutor.availability.length > 0 && !tutor.availability.some(available =>
+          available.dayId === day.id && available.start <= slot.start && slot.end <= available.end
+        )) {
+          reject('tutorUnavailable');
+          continue;
+        }
+
+        if (concurrent.some(booking => booking.tutorId === tutor.id)) {
+          reject('tutorBusy');
+          continue;
+        }
+
+        if (tutorLoad.get(tutor.id) + (slot.end - slot.start) > tutor.maxMinutes) {
+          reject('tutorLoad');
+          continue;
+        }
+      }
+
+      const freeRooms = fittingRooms.filter(room => !concurrent.some(booking => booking.roomId === room.id));
+
+      if (freeRooms.length === 0) {
+        reject('roomBusy');
+        continue;
+      }
+
+      // Everything but room fit is the same for each room in the cell
+      const sameDaySession = dayBookings.some(booking => booking.offeringKey === offering.key) ? WEIGHTS.sameDaySession : 0;
+      const cohortDayLoad = offering.program
+        ? WEIGHTS.cohortDayLoad * dayBookings.filter(booking => sameCohort(offering, booking)).length
+        : 0;
+      const tutorDayLoad = tutor
+        ? WEIGHTS.tutorDayLoad * dayBookings.filter(booking => booking.tutorId === tutor.id).length
+        : 0;
+
+      for (const room of freeRooms) {
+        const breakdown = {
+          roomFit: WEIGHTS.roomFit * (room.seats - offering.capacity) / room.seats,
+          sameDaySession,
+          unpreferredDay: preferredDays.size > 0 && !preferredDays.has(day.id) ? WEIGHTS.unpreferredDay : 0,
+          avoidedTimeSlot: avoidedSlots.has(slot.id) ? WEIGHTS.avoidedTimeSlot : 0,
+          cohortDayLoad,
+          tutorDayLoad
+        };
+
+        options.push({
+          day,
+          slot,
+          room,
+          tutor,
+          breakdown,
+          penalty: Object.values(breakdown).reduce((total, value) => total + value, 0)
+        });
+      }
+    }
+
+    return { options, rejected };
+  };
+
+  const evaluateCells = (item, dayFilter, slotFilter) => {
+    for (const day of days) {
+      if (dayFilter && !dayFilter(day)) {
+        continue;
+      }
+
+      for (const slot of timeSlots) {
+        if (!slotFilter || slotFilter(slot)) {
+          item.cells.set(cellKey(day.id, slot.id), evaluateCell(item, day, slot));
+        }
+      }
+    }
+  };
+
+  // Cells are read in day and slot order so ties resolve the same way every run
+  const summarize = item => {
+    let count = 0;
+    let best = null;
+
+    for (const cell of item.cells.values()) {
+      count += cell.count;
+      if (cell.best && (!best || cell.best.penalty < best.penalty)) {
+        best = cell.best;
+      }
+    }
+
+    return { count, best };
+  };
+
+  const rejectionReason = item => {
+    if (item.fittingRooms.length === 0) {
+      return 'room';
+    }
+
+    const rejected = {};
+
+    for (const cell of item.cells.values()) {
+      for (const [reason, times] of Object.entries(cell.rejected)) {
+        rejected[reason] = (rejected[reason] || 0) + times;
+      }
+    }
+
+    const [reason] = Object.entries(rejected).sort((a, b) => b[1] - a[1])[0] || ['room'];
+    return reason;
+  };
+
+  for (const item of pending) {
+    if (item.fittingRooms.length > 0) {
+      evaluateCells(item);
+    }
+  }
+
+  while (pending.length > 0) {
+    // Re-rank every step: each placement can remove options from the others
+    let next = null;
+
+    pending.forEach((item, index) => {
+      const result = summarize(item);
+      if (!next || result.count < next.result.count) {
+        next = { item, index, result };
+      }
+    });
+
+    pending.splice(next.index, 1);
+    const { item, result } = next;
+    const { offering, session } = item;
+
+    if (result.count === 0) {
+      const reason = rejectionReason(item);
+      unplaced.push({
+        unitId: offering.unitId,
+        unitCode: offering.unitCode,
+        session,
+        reason: `Could not place: ${REJECTIONS[reason]}`
+      });
+      continue;
+    }
+
+    const { best } = result;
+    const minutes = best.slot.end - best.slot.start;
+
+    const booking = {
+      offeringKey: offering.key,
+      unitId: offering.unitId,
+      timeSlotId: best.slot.id,
+      dayId: best.day.id,
+      start: best.slot.start,
+      end: best.slot.end,
+      roomId: best.room.id,
+      tutorId: best.tutor ? best.tutor.id : null,
+      program: offering.program,
+      yearLevel: offering.yearLevel
+    };
+
+    place(booking);
+
+    if (best.tutor) {
+      tutorLoad.set(best.tutor.id, tutorLoad.get(best.tutor.id) + minutes);
+    }
+
+    const onDay = day => day.id === booking.dayId;
+    const overlapping = slot => overlaps(booking, slot);
+
+    for (const other of pending) {
+      if (other.fittingRooms.length === 0) {
+        continue;
+      }
+
+      if (booking.tutorId && other.tutorChoices.includes(booking.tutorId)) {
+        // The tutor's load changed, which can close options on any day
+        evaluateCells(other);
+      } else if (
+        other.offering.key === booking.offeringKey ||
+        other.offering.unitId === booking.unitId ||
+        (other.offering.program && sameCohort(other.offering, booking))
+      ) {
+        // Clashes in overlapping slots and day-load penalties across the day
+        evaluateCells(other, onDay);
+      } else if (other.fittingRoomIds.has(booking.roomId)) {
+        evaluateCells(other, onDay, overlapping);
+      }
+    }
+
+    entries.push({
+      unitId: offering.unitId,
+      unitCode: offering.unitCode,
+      session,
+      dayId: best.day.id,
+      day: best.day.name,
+      timeSlotId: best.slot.id,
+      timeSlot: best.slot.name,
+      roomId: best.room.id,
+      room: best.room.name,
+      tutorId: best.tutor ? best.tutor.id : null,
+      tutor: best.tutor ? best.tutor.name : null,
+      program: offering.program || null,
+      yearLevel: offering.yearLevel || null,
+      maxCapacity: offering.maxCapacity || null,
+      penalty: Math.round(best.penalty * 100) / 100,
+      breakdown: best.breakdown
+    });
+  }
+
+  entries.sort((a, b) =>
+    days.findIndex(day => day.id === a.dayId) - days.findIndex(day => day.id === b.dayId) ||
+    timeSlots.findIndex(slot => slot.id === a.timeSlotId) - timeSlots.findIndex(slot => slot.id === b.timeSlotId)
+  );
+
+  return {
+    entries,
+    unplaced,
+    penalty: Math.round(entries.reduce((total, entry) => total + entry.penalty, 0) * 100) / 100
+  };
+}
+
+/**
+ * Run solveTimetable in a worker thread
+ * @param {Object} input - Same input as solveTimetable
+ * @param {number} timeoutMs - Stop the worker after this long
+ * @returns {Promise<Object>} entries, unplaced and total penalty
+ */
+export function solveTimetableInWorker(input, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./timetableWorker.js', import.meta.url), { workerData: input });
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`Timetable generation took longer than ${Math.round(timeoutMs / 1000)} seconds`));
+    }, timeoutMs);
+
+    worker.once('message', result => {
+      clearTimeout(timer);
+      resolve(result);
+    });
+
+    worker.once('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    worker.once('exit', code => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(`Timetable worker stopped with exit code ${code}`));
+      }
+    });
+  });
+}
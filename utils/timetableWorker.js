@@ -0,0 +1,7 @@
+// utils/timetableWorker.js
+
+// Runs the solver on its own thread so generation does not block the API
+import { parentPort, workerData } from 'worker_threads';
+import { solveTimetable } from './timetableSolver.js';
+
+parentPort.postMessage(solveTimetable(workerData));